@@ -1,4 +1,6 @@
-const serverless = require('serverless-http');
-const app = require('./server');
+import createApp, { trustProxySetting } from '../src/app.js';
+import config from '../src/config.js';
 
-module.exports.handler = serverless(app);
+// Vercel function; vercel.json routes every path here. Requests arrive through Vercel's edge,
+// the one proxy trusted unless TRUST_PROXY says otherwise.
+export default createApp({ trustProxy: trustProxySetting(config.TRUST_PROXY, 1) });
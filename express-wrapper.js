@@ -1,13 +1,11 @@
-var express = require('express');
-var app = express();
-var bandwidthHeroProxy = require('./index.js').bandwidthHeroProxy;
+import express from 'express';
+import { bandwidthHeroProxy } from './index.js';
 
-app.use('/bandwidth-hero', bandwidthHeroProxy);
+// Local development server that mounts the Cloud Functions export under a path prefix,
+// the way it is reached once deployed.
+const app = express();
 
-// app.post('/test', function(req,res){
-//     res.send('Hello World!');
-//     return;
-// });
+app.use('/bandwidth-hero', bandwidthHeroProxy);
 
 app.get('/test', function(req,res){
     res.send('Hello World!');
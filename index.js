@@ -1,16 +1,9 @@
-'use strict'
+'use strict';
 
-//const http = require('http');
+import createApp, { trustProxySetting } from './src/app.js';
+import config from './src/config.js';
 
-const authenticate = require('./src/authenticate')
-const params = require('./src/params')
-const proxy = require('./src/proxy')
-
-exports.bandwidthHeroProxy = (req, res) => {
-    
-    authenticate(req, res, function(){});
-    if(!res.headersSent){
-        params(req, res, function(){});
-        proxy(req, res, function(){});
-    }
-};
+// Google Cloud Functions entrypoint ("Function to Execute: bandwidthHeroProxy").
+// An Express app is itself a (req, res) handler. Requests arrive through Google's front end,
+// the one proxy trusted unless TRUST_PROXY says otherwise.
+export const bandwidthHeroProxy = createApp({ trustProxy: trustProxySetting(config.TRUST_PROXY, 1) });
@@ -1,28 +1,45 @@
 #!/usr/bin/env node
 'use strict';
 
-import express from 'express';
+import config, { redactConfig } from './src/config.js';
 
-import authenticate from './src/authenticate.js';
-import params from './src/params.js';
-import proxy from './src/proxy.js';
+// `node server.js --print-config` shows the effective settings, secrets redacted, and exits.
+if (process.argv.includes('--print-config')) {
+  console.log(JSON.stringify(redactConfig(config), null, 2));
+  process.exit(0);
+}
 
+// Loaded after the check above so printing the config doesn't start watchers or caches.
+const { default: createApp } = await import('./src/app.js');
 
-const app = express();
-const PORT =8080;
+// SHUTDOWN_TIMEOUT: how long in-flight requests get to finish after SIGTERM/SIGINT before the process exits anyway.
+const { PORT, SHUTDOWN_TIMEOUT } = config;
 
-
-
-// Trust proxy for secure cookies and HTTPS redirection
-app.enable('trust proxy');
-
-// Routes
-app.get('/', authenticate, params, proxy);
-
-// Handle favicon requests
-app.get('/favicon.ico', (req, res) => res.status(204).end());
+const app = createApp();
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Listening on port ${PORT}`);
 });
+
+/**
+ * Stops accepting connections, lets in-flight requests finish, then exits.
+ * @param {string} signal - The signal that triggered the shutdown.
+ */
+function shutdown(signal) {
+  console.log(`${signal} received; closing server`);
+  server.close(error => {
+    if (error) console.error({ message: 'Error closing server', error: error.message });
+    process.exit(error ? 1 : 0);
+  });
+  // Keep-alive connections with no request in flight would otherwise hold close() open.
+  server.closeIdleConnections();
+
+  setTimeout(() => {
+    console.error(`Requests still running after ${SHUTDOWN_TIMEOUT} ms; exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
@@ -0,0 +1,71 @@
+import { MIN_QUALITY, MAX_QUALITY } from './params.js';
+import config from './config.js';
+
+// Set ADAPTIVE_QUALITY=false to apply the requested quality to every image unchanged.
+const { ADAPTIVE_QUALITY } = config;
+
+/**
+ * Default quality tiers, checked in order; the first matching tier wins.
+ * A tier matches when every bound it declares holds:
+ * - `minPixels`: pixel count per frame is greater than this
+ * - `maxPixels`: pixel count per frame is at most this
+ * - `minBytes`: 8-bit-equivalent byte size is greater than this
+ * Large, heavy images get lower quality; thumbnails get a boost, since
+ * compression artifacts are most visible on small images.
+ */
+const DEFAULT_TIERS = [
+    { minPixels: 3000000, minBytes: 1536000, factor: 0.1 },
+    { minPixels: 2000000, minBytes: 1024000, factor: 0.25 },
+    { minPixels: 1000000, minBytes: 512000, factor: 0.5 },
+    { minPixels: 500000, minBytes: 256000, factor: 0.75 },
+    { maxPixels: 160000, factor: 1.5 },
+];
+
+// Bits per sample for each libvips band format reported by sharp's `depth`.
+const DEPTH_BITS = {
+    char: 8, uchar: 8, short: 16, ushort: 16, int: 32, uint: 32, float: 32, complex: 64, double: 64, dpcomplex: 128,
+};
+
+// ADAPTIVE_QUALITY_TIERS replaces the defaults; config.js checks its shape.
+const TIERS = config.ADAPTIVE_QUALITY_TIERS || DEFAULT_TIERS;
+
+/**
+ * Checks whether an image falls inside a tier's bounds.
+ * @param {Object} tier - The tier to test.
+ * @param {number} pixels - Pixel count per frame.
+ * @param {number} bytes - 8-bit-equivalent byte size.
+ * @returns {boolean} True if the tier applies.
+ */
+function matchesTier(tier, pixels, bytes) {
+    return (
+        (tier.minPixels === undefined || pixels > tier.minPixels) &&
+        (tier.maxPixels === undefined || pixels <= tier.maxPixels) &&
+        (tier.minBytes === undefined || bytes > tier.minBytes)
+    );
+}
+
+/**
+ * Picks an output quality from the image's metadata and the requested quality.
+ * Byte size is normalised to 8 bits per sample, so 16-bit PNGs are not treated
+ * as twice as heavy as the same picture at 8 bits.
+ * @param {Object} metadata - sharp metadata of the input.
+ * @param {number} quality - The requested quality.
+ * @param {number} [originSize] - Size of the original file, if known.
+ * @param {number} [areaRatio=1] - Share of the pixel area kept after resizing; pixel
+ *   count and byte size are scaled by it so downscaled images are judged at output size.
+ * @returns {number} The quality to encode with, within [MIN_QUALITY, MAX_QUALITY].
+ */
+function adaptiveQuality(metadata, quality, originSize, areaRatio = 1) {
+    if (!ADAPTIVE_QUALITY || !metadata) return quality;
+
+    const pixels = (metadata.width || 0) * (metadata.pageHeight || metadata.height || 0) * areaRatio;
+    const bytes = (originSize || metadata.size || 0) * 8 / (DEPTH_BITS[metadata.depth] || 8) * areaRatio;
+
+    const tier = TIERS.find(candidate => matchesTier(candidate, pixels, bytes));
+    if (!tier) return quality;
+
+    const adjusted = Math.ceil(quality * tier.factor);
+    return Math.min(Math.max(adjusted, MIN_QUALITY), MAX_QUALITY);
+}
+
+export default adaptiveQuality;
@@ -0,0 +1,50 @@
+import sharp from 'sharp';
+import isAnimated from 'is-animated';
+import checkInputLimits from './inputLimits.js';
+import config from './config.js';
+
+// Animations above either ceiling are not re-encoded frame by frame.
+const { ANIMATION_MAX_FRAMES, ANIMATION_MAX_BYTES } = config;
+
+// What to do with an animation over the ceiling: "still" sends its first frame, "bypass" sends it untouched.
+const { ANIMATION_OVER_LIMIT } = config;
+
+/**
+ * Inspects an input buffer and decides how its animation, if any, should be handled.
+ *
+ * GIF and WebP frames are decoded by libvips. APNG is detected but libvips only
+ * decodes its first frame, so it always follows the over-limit policy.
+ *
+ * @param {Buffer} buffer - The original image.
+ * @param {string} originType - The MIME type of the original image.
+ * @returns {Promise<{ action: string, frames: number, reason?: string }>} `action` is
+ *   "static" for single-frame images, "animate" to keep every frame, or "still"/"bypass"
+ *   with `reason` "apng" or "over-limit".
+ */
+async function inspectAnimation(buffer, originType) {
+    if (originType?.endsWith('png')) {
+        return isAnimated(buffer)
+            ? { action: ANIMATION_OVER_LIMIT, frames: 0, reason: 'apng' }
+            : { action: 'static', frames: 1 };
+    }
+
+    if (!originType?.endsWith('gif') && !originType?.endsWith('webp')) {
+        return { action: 'static', frames: 1 };
+    }
+
+    const metadata = await sharp(buffer, { animated: true, limitInputPixels: false }).metadata();
+    const { pages = 1 } = metadata;
+    if (pages <= 1) {
+        return { action: 'static', frames: 1 };
+    }
+
+    // All frames together must also fit the input limits, e.g. the decoded memory budget.
+    if (pages > ANIMATION_MAX_FRAMES || buffer.length > ANIMATION_MAX_BYTES || checkInputLimits(metadata, pages).reason) {
+        console.log(`[INFO] Animation over limit: frames=${pages}, size=${buffer.length}, action=${ANIMATION_OVER_LIMIT}`);
+        return { action: ANIMATION_OVER_LIMIT, frames: pages, reason: 'over-limit' };
+    }
+
+    return { action: 'animate', frames: pages };
+}
+
+export default inspectAnimation;
@@ -0,0 +1,68 @@
+import express from 'express';
+import morgan from 'morgan';
+
+import authenticate from './authenticate.js';
+import params from './params.js';
+import rules from './rules.js';
+import rateLimit, { limitFailedLogins, quotaStatus } from './rateLimit.js';
+import proxy from './proxy.js';
+import batch from './batch.js';
+import coalesce from './coalesce.js';
+import metrics, { statsHandler } from './stats.js';
+import config from './config.js';
+
+/**
+ * Converts TRUST_PROXY to an Express `trust proxy` value: a single number is how many
+ * proxies in front of the app to trust, anything else the addresses, subnets or names
+ * (e.g. "loopback") of trusted proxies.
+ * @param {string[]} entries - The TRUST_PROXY entries.
+ * @param {boolean|number} [fallback=false] - The value when TRUST_PROXY is unset.
+ * @returns {boolean|number|string[]} The `trust proxy` setting.
+ */
+function trustProxySetting(entries, fallback = false) {
+    if (!entries.length) return fallback;
+    if (entries.length === 1 && /^\d+$/.test(entries[0])) return Number(entries[0]);
+    return entries;
+}
+
+/**
+ * Builds the Express application shared by every entrypoint: the standalone server,
+ * the Vercel function and the Google Cloud Functions export.
+ *
+ * @param {Object} [config]
+ * @param {boolean|number|string[]} [config.trustProxy] - Express `trust proxy` setting, so `req.ip` is the
+ *   client behind a load balancer; TRUST_PROXY by default, which trusts no proxy when unset. Clients
+ *   can put any address in X-Forwarded-For, so only the proxies actually in front of the app may be trusted.
+ * @param {string} [config.requestLog] - morgan format for access logs (e.g. "combined"); off when unset.
+ * @returns {Function} The Express app, usable as a `(req, res)` handler.
+ */
+function createApp({ trustProxy = trustProxySetting(config.TRUST_PROXY), requestLog = config.REQUEST_LOG } = {}) {
+    const app = express();
+
+    app.set('trust proxy', trustProxy);
+
+    if (requestLog) {
+        app.use(morgan(requestLog));
+    }
+
+    // Compression proxy
+    app.get('/', limitFailedLogins, authenticate, rateLimit, params, rules, coalesce(proxy));
+
+    // Many images at once, through the same pipeline, answered with a manifest
+    app.post('/batch', limitFailedLogins, authenticate, rateLimit, batch);
+
+    // Quota usage for the authenticated caller
+    app.get('/quota', limitFailedLogins, authenticate, quotaStatus);
+
+    // Prometheus metrics, and the savings summary with per-host totals for authenticated callers
+    app.get('/metrics', metrics);
+    app.get('/stats', limitFailedLogins, authenticate, statsHandler);
+
+    // Handle favicon requests
+    app.get('/favicon.ico', (req, res) => res.status(204).end());
+
+    return app;
+}
+
+export { trustProxySetting };
+export default createApp;
@@ -1,17 +1,27 @@
 import auth from 'basic-auth';
+import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
-import dotenv from 'dotenv';
+import fs from 'fs';
+import config from './config.js';
 
-// Load environment variables
-dotenv.config();
+// Legacy single credential pair; still accepted alongside the users file.
+const { LOGIN, PASSWORD, REALM } = config;
 
-const LOGIN = process.env.LOGIN;
-const PASSWORD = process.env.PASSWORD;
-const REALM = process.env.REALM || 'Bandwidth-Hero Compression Service';
+// htpasswd-style users file: `name:bcrypt-hash[:disabled]` per line.
+const { AUTH_USERS_FILE } = config;
+// API tokens file: `name:sha256-hex-of-token[:disabled]` per line.
+const { AUTH_TOKENS_FILE, AUTH_RELOAD_INTERVAL } = config;
+
+// name -> { hash, enabled }
+let users = new Map();
+// sha256 hex of token -> { name, enabled }
+let tokens = new Map();
+// Successful bcrypt checks, keyed by name and password digest, so each request doesn't pay for bcrypt.
+let verifiedPasswords = new Set();
 
 /**
  * Secure timing-safe comparison using Node.js `crypto` module.
- * 
+ *
  * @param {string} a - The first string to compare.
  * @param {string} b - The second string to compare.
  * @returns {boolean} - Whether the strings are equal.
@@ -24,18 +34,158 @@ function safeCompare(a, b) {
 }
 
 /**
- * Middleware to authenticate requests using basic authentication.
- * 
+ * Hex SHA-256 digest of a string.
+ *
+ * @param {string} value - The value to hash.
+ * @returns {string} - The digest.
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value, 'utf-8').digest('hex');
+}
+
+/**
+ * Parses `name:secret[:disabled]` lines, skipping blanks and `#` comments.
+ *
+ * @param {string} content - The file content.
+ * @param {string} file - The file path, for log messages.
+ * @returns {Array<{ name: string, secret: string, enabled: boolean }>} - The parsed entries.
+ */
+function parseCredentialLines(content, file) {
+  const entries = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [name, secret, flag] = trimmed.split(':');
+    if (!name || !secret || (flag !== undefined && flag !== 'enabled' && flag !== 'disabled')) {
+      console.warn(`Ignoring malformed line ${index + 1} in ${file}`);
+      return;
+    }
+    entries.push({ name, secret, enabled: flag !== 'disabled' });
+  });
+  return entries;
+}
+
+/**
+ * (Re)loads the users and tokens files; on error the previous credentials stay in effect.
+ */
+function loadCredentials() {
+  try {
+    const nextUsers = new Map();
+    if (AUTH_USERS_FILE) {
+      for (const { name, secret, enabled } of parseCredentialLines(fs.readFileSync(AUTH_USERS_FILE, 'utf8'), AUTH_USERS_FILE)) {
+        if (!/^\$2[aby]\$/.test(secret)) {
+          console.warn(`Ignoring user "${name}" in ${AUTH_USERS_FILE}: only bcrypt hashes are supported`);
+          continue;
+        }
+        nextUsers.set(name, { hash: secret, enabled });
+      }
+    }
+
+    const nextTokens = new Map();
+    if (AUTH_TOKENS_FILE) {
+      for (const { name, secret, enabled } of parseCredentialLines(fs.readFileSync(AUTH_TOKENS_FILE, 'utf8'), AUTH_TOKENS_FILE)) {
+        nextTokens.set(secret.toLowerCase(), { name, enabled });
+      }
+    }
+
+    users = nextUsers;
+    tokens = nextTokens;
+    verifiedPasswords = new Set();
+    console.log(`Loaded ${users.size} user(s) and ${tokens.size} API token(s)`);
+  } catch (error) {
+    console.error({ message: 'Failed to load credentials; keeping previous ones', error: error.message });
+  }
+}
+
+if (AUTH_USERS_FILE || AUTH_TOKENS_FILE) {
+  loadCredentials();
+  for (const file of [AUTH_USERS_FILE, AUTH_TOKENS_FILE].filter(Boolean)) {
+    fs.watchFile(file, { interval: AUTH_RELOAD_INTERVAL, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) loadCredentials();
+    });
+  }
+}
+
+/**
+ * Checks whether any credentials are configured; without them the proxy is open.
+ *
+ * @returns {boolean} - True if requests must authenticate.
+ */
+function authRequired() {
+  return Boolean((LOGIN && PASSWORD) || AUTH_USERS_FILE || AUTH_TOKENS_FILE);
+}
+
+/**
+ * Resolves a bearer token to an enabled user.
+ *
+ * @param {string} token - The presented token.
+ * @returns {string|null} - The user name, or null if the token is unknown or disabled.
+ */
+function verifyToken(token) {
+  const entry = tokens.get(sha256(token));
+  if (!entry || !entry.enabled) return null;
+  // A user disabled in the users file loses their tokens too.
+  const user = users.get(entry.name);
+  if (user && !user.enabled) return null;
+  return entry.name;
+}
+
+/**
+ * Verifies Basic credentials against the users file, then the legacy LOGIN/PASSWORD pair.
+ *
+ * @param {string} name - The user name.
+ * @param {string} password - The password.
+ * @returns {Promise<boolean>} - Whether the credentials are valid for an enabled user.
+ */
+async function verifyPassword(name, password) {
+  const user = users.get(name);
+  if (user) {
+    if (!user.enabled) return false;
+    const cacheKey = `${name}:${sha256(password)}`;
+    if (verifiedPasswords.has(cacheKey)) return true;
+    if (!(await bcrypt.compare(password, user.hash))) return false;
+    verifiedPasswords.add(cacheKey);
+    return true;
+  }
+  return Boolean(LOGIN && PASSWORD && safeCompare(name, LOGIN) && safeCompare(password, PASSWORD));
+}
+
+/**
+ * Identifies the caller from a bearer token or Basic credentials.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @returns {Promise<{ name: string, method: string }|null>} - The identity, or null.
+ */
+async function identify(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && token) {
+    const name = verifyToken(token);
+    return name ? { name, method: 'token' } : null;
+  }
+
+  const credentials = auth(req);
+  if (credentials && await verifyPassword(credentials.name, credentials.pass)) {
+    return { name: credentials.name, method: 'basic' };
+  }
+  return null;
+}
+
+/**
+ * Middleware to authenticate requests using Basic credentials or a bearer API token.
+ * The authenticated identity is attached as `req.user = { name, method }`.
+ *
  * @param {Object} req - The HTTP request object.
  * @param {Object} res - The HTTP response object.
  * @param {Function} next - The next middleware function.
  */
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   // Ensure credentials are configured
-  if (LOGIN && PASSWORD) {
-    const credentials = auth(req);
+  if (!authRequired()) return next();
 
-    if (!credentials || !safeCompare(credentials.name, LOGIN) || !safeCompare(credentials.pass, PASSWORD)) {
+  try {
+    const user = await identify(req);
+    if (!user) {
       // Log unauthorized access attempts
       console.warn(`Unauthorized access attempt: IP=${req.ip}, UA=${req.get('User-Agent')}`);
 
@@ -43,6 +193,11 @@ function authenticate(req, res, next) {
       res.set('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
       return res.status(401).send('Unauthorized');
     }
+
+    req.user = user;
+  } catch (error) {
+    console.error({ message: 'Error in authenticate middleware', error: error.message });
+    return res.status(500).send('Internal Server Error');
   }
 
   // Proceed to the next middleware
@@ -0,0 +1,227 @@
+import http from 'http';
+import { Writable } from 'stream';
+import express from 'express';
+import params from './params.js';
+import rules from './rules.js';
+import coalesce from './coalesce.js';
+import proxy from './proxy.js';
+import { takeToken } from './rateLimit.js';
+import onResponseChunk from './onResponseChunk.js';
+import config from './config.js';
+
+// Most items one batch may list, and how many of them are processed at a time.
+const { BATCH_MAX_ITEMS, BATCH_CONCURRENCY } = config;
+
+// Per-item options, named like the query parameters of `/`.
+const ITEM_OPTIONS = ['format', 'jpeg', 'bw', 'l', 'w', 'h', 'fit', 'dpr', 'privacy'];
+
+// Request headers of the batch request that items inherit: Accept for `format=auto`,
+// and what the privacy mode may forward to origins.
+const INHERITED_HEADERS = ['accept', 'cookie', 'dnt', 'referer', 'x-forwarded-for'];
+
+// Error bodies are kept up to this size so their message can go into the manifest.
+const MAX_ERROR_BODY = 4096;
+
+const parseBody = express.json();
+
+// The pipeline of `/` after authentication and rate limiting, which the batch request already passed.
+const itemApp = express();
+const coalescedProxy = coalesce(proxy);
+itemApp.get('/', params, rules, (req, res) => {
+    // Kept so the batch can wait for work that continues after the response, like the cache write.
+    req.processing = coalescedProxy(req, res);
+});
+
+/**
+ * Normalizes a batch item, a URL string or an object with `url` and options,
+ * on top of the batch-wide options.
+ * @param {string|Object} item - The item as sent.
+ * @param {Object} defaults - The batch's `options`.
+ * @returns {{ url?: string, query: URLSearchParams }} The item's URL and its query string.
+ */
+function itemQuery(item, defaults) {
+    const fields = typeof item === 'string' ? { ...defaults, url: item } : { ...defaults, ...item };
+    const query = new URLSearchParams();
+    const url = typeof fields.url === 'string' && fields.url.trim() ? fields.url : undefined;
+    if (url) query.set('url', url);
+    for (const name of ITEM_OPTIONS) {
+        const value = fields[name];
+        if (['string', 'number', 'boolean'].includes(typeof value)) query.set(name, String(value));
+    }
+    return { url, query };
+}
+
+/**
+ * Builds a request for `/` from the batch request and a response that discards its
+ * body, counting the bytes instead.
+ * @param {Object} req - The batch request.
+ * @param {URLSearchParams} query - The item's query string.
+ * @param {boolean} warm - Whether compressed results may be written to the cache.
+ * @returns {{ itemReq: Object, itemRes: Object, body: Object }} The pair, and the body's size and any error text.
+ */
+function createItemExchange(req, query, warm) {
+    const itemReq = new http.IncomingMessage(req.socket);
+    itemReq.method = 'GET';
+    itemReq.url = `/?${query}`;
+    itemReq.httpVersion = '1.1';
+    itemReq.httpVersionMajor = 1;
+    itemReq.httpVersionMinor = 1;
+    for (const name of INHERITED_HEADERS) {
+        if (req.headers[name]) itemReq.headers[name] = req.headers[name];
+    }
+    itemReq.headers['x-forwarded-for'] = itemReq.headers['x-forwarded-for'] || req.ip;
+    itemReq.skipCacheWrite = !warm;
+
+    const itemRes = new http.ServerResponse(itemReq);
+    const sink = new Writable({ write: (chunk, encoding, callback) => callback() });
+    // What the HTTP server does for a real socket: relay backpressure, and let errors end the response.
+    sink.on('drain', () => itemRes.emit('drain'));
+    sink.on('error', () => {});
+    itemRes.assignSocket(sink);
+
+    const body = { size: 0, errorText: '' };
+    onResponseChunk(itemRes, (data) => {
+        body.size += data.length;
+        if (itemRes.statusCode >= 400 && body.errorText.length < MAX_ERROR_BODY) {
+            body.errorText += data.subarray(0, MAX_ERROR_BODY - body.errorText.length).toString();
+        }
+    });
+
+    return { itemReq, itemRes, body };
+}
+
+/**
+ * Extracts the message of a JSON error body, e.g. `{ "error": "Invalid URL..." }`.
+ */
+function errorMessage(text) {
+    try {
+        return JSON.parse(text).error;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Summarizes an item's response for the manifest.
+ * @param {string} url - The item URL.
+ * @param {Object} itemRes - The finished item response.
+ * @param {{ size: number, errorText: string }} body - What was written.
+ * @returns {Object} The manifest entry.
+ */
+function describeResult(url, itemRes, body) {
+    const header = name => itemRes.getHeader(name);
+    const status = itemRes.statusCode;
+    const proxyError = header('x-proxy-error');
+    const ok = status >= 200 && status < 300 && !proxyError;
+    const compressed = header('x-processed-size') !== undefined;
+    const result = { url, ok, status, cache: header('x-cache') };
+
+    if (!ok) {
+        result.error = proxyError
+            || (status >= 300 && status < 400 ? 'redirected' : errorMessage(body.errorText) || `status ${status}`);
+        return result;
+    }
+    result.format = compressed ? String(header('content-type')).replace('image/', '') : 'original';
+    result.size = body.size;
+    result.originalSize = compressed ? parseInt(header('x-original-size'), 10) : body.size;
+    result.bytesSaved = compressed ? parseInt(header('x-bytes-saved'), 10) : 0;
+    if (!compressed) result.bypassReason = header('x-bypass-reason');
+    return result;
+}
+
+/**
+ * Runs one item through the `/` pipeline and waits for all its work, cache write included.
+ * @param {Object} req - The batch request.
+ * @param {string|Object} item - The item.
+ * @param {Object} defaults - The batch's `options`.
+ * @param {boolean} warm - Whether to fill the cache.
+ * @returns {Promise<Object>} The manifest entry.
+ */
+async function processItem(req, item, defaults, warm) {
+    const { url, query } = itemQuery(item, defaults);
+    if (!url) {
+        return { url: null, ok: false, status: 400, error: 'Missing url.' };
+    }
+
+    // Each item costs the caller a request, as if it had been fetched through `/`.
+    const { allowed, retryAfter } = await takeToken(req);
+    if (!allowed) {
+        return { url, ok: false, status: 429, error: 'Too many requests.', retryAfter: Math.max(Math.ceil(retryAfter), 1) };
+    }
+
+    const { itemReq, itemRes, body } = createItemExchange(req, query, warm);
+    try {
+        await new Promise((resolve, reject) => {
+            itemRes.once('finish', resolve);
+            itemApp.handle(itemReq, itemRes, error => reject(error || new Error('Batch item was not handled')));
+        });
+        await itemReq.processing;
+    } catch (error) {
+        console.error({ message: 'Batch item failed', url, error: error.message });
+        return { url, ok: false, status: 500, error: 'Internal Server Error' };
+    }
+    return describeResult(url, itemRes, body);
+}
+
+/**
+ * Route handler for `POST /batch`: runs a list of images through the same pipeline as `/`,
+ * BATCH_CONCURRENCY at a time, and answers with a manifest of the results. The body is
+ * `{ "items": [url | { url, ...options }], "options": { ... }, "warm": true }`; options use
+ * the query parameter names of `/`, and `warm` lets compressed results enter the cache.
+ * Mount it behind `authenticate` and `rateLimit`; every item also takes a request from the
+ * caller's rate limit, and items over it are reported with status 429.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ */
+function batch(req, res) {
+    parseBody(req, res, async (parseError) => {
+        const { items, options = {}, warm = false } = parseError ? {} : req.body || {};
+        if (!Array.isArray(items) || !items.length || typeof options !== 'object' || options === null) {
+            return res.status(400).json({ error: 'Expected a JSON body with a non-empty "items" array.' });
+        }
+        if (items.length > BATCH_MAX_ITEMS) {
+            return res.status(413).json({ error: `A batch may list at most ${BATCH_MAX_ITEMS} items.` });
+        }
+
+        // Items not yet started are skipped once the client has gone away.
+        let aborted = false;
+        res.once('close', () => {
+            aborted = !res.writableFinished;
+        });
+
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length && !aborted) {
+                const index = next++;
+                results[index] = await processItem(req, items[index], options, warm === true);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, items.length) }, worker));
+        } catch (error) {
+            console.error({ message: 'Batch failed', error: error.message });
+            if (!res.headersSent) res.status(500).json({ error: 'Internal Server Error' });
+            return;
+        }
+        if (aborted) return;
+
+        const succeeded = results.filter(result => result.ok);
+        res.json({
+            warmed: warm === true,
+            totals: {
+                items: results.length,
+                succeeded: succeeded.length,
+                failed: results.length - succeeded.length,
+                bytesIn: succeeded.reduce((sum, result) => sum + result.originalSize, 0),
+                bytesOut: succeeded.reduce((sum, result) => sum + result.size, 0),
+                bytesSaved: succeeded.reduce((sum, result) => sum + result.bytesSaved, 0),
+            },
+            results,
+        });
+    });
+}
+
+export default batch;
@@ -0,0 +1,47 @@
+import { supportedEncodings } from './decoder.js';
+import config from './config.js';
+
+/**
+ * Request headers of current desktop browsers loading an image, so origins and
+ * anti-bot services see the proxy as the browser the page was loaded in.
+ */
+const PROFILES = {
+    firefox: {
+        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:131.0) Gecko/20100101 Firefox/131.0',
+        accept: 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+        'accept-language': 'en-US,en;q=0.5',
+        'accept-encoding': 'gzip, deflate, br, zstd',
+    },
+    chrome: {
+        'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+        accept: 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+        'accept-language': 'en-US,en;q=0.9',
+        'accept-encoding': 'gzip, deflate, br, zstd',
+    },
+    safari: {
+        'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Safari/605.1.15',
+        accept: 'image/webp,image/avif,image/jxl,image/heic,image/heic-sequence,video/*;q=0.8,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+        'accept-language': 'en-US,en;q=0.9',
+        'accept-encoding': 'gzip, deflate, br',
+    },
+};
+
+const profile = PROFILES[config.UPSTREAM_PROFILE];
+
+/**
+ * The browser headers sent to origins: the UPSTREAM_PROFILE preset with any of
+ * UPSTREAM_USER_AGENT, UPSTREAM_ACCEPT and UPSTREAM_ACCEPT_LANGUAGE replacing its values.
+ * Codings the proxy can't decode on this Node.js version are left out of Accept-Encoding.
+ */
+const browserHeaders = Object.freeze({
+    ...profile,
+    'accept-encoding': supportedEncodings(profile['accept-encoding']),
+    ...(config.UPSTREAM_USER_AGENT && { 'user-agent': config.UPSTREAM_USER_AGENT }),
+    ...(config.UPSTREAM_ACCEPT && { accept: config.UPSTREAM_ACCEPT }),
+    ...(config.UPSTREAM_ACCEPT_LANGUAGE && { 'accept-language': config.UPSTREAM_ACCEPT_LANGUAGE }),
+    'sec-fetch-dest': 'image',
+    'sec-fetch-mode': 'no-cors',
+    'sec-fetch-site': 'cross-site',
+});
+
+export default browserHeaders;
@@ -1,13 +1,19 @@
 import { URL } from 'url';
-import { PassThrough } from 'stream';
+import { PassThrough, Readable, pipeline } from 'stream';
 import sanitizeFilename from 'sanitize-filename';
+import { mimeType } from './contentType.js';
+import { recordOutcome, recordTransfer } from './stats.js';
+import config from './config.js';
 
-const ALLOWED_CONTENT_TYPES = [
-    'image/jpeg', 'image/png', 'image/gif', 'application/pdf', 'text/plain',
-    'application/octet-stream', // Default fallback
-];
-const MAX_BUFFER_SIZE = parseInt(process.env.MAX_BUFFER_SIZE, 10) || 10 * 1024 * 1024; // 10 MB default
-const DEFAULT_FILENAME = process.env.DEFAULT_FILENAME || 'download';
+// Content types passed through as the origin sent them and displayed inline. Anything
+// else (HTML, scripts, XML) could run on the proxy's origin, so it becomes an
+// application/octet-stream attachment.
+const SAFE_CONTENT_TYPE_PREFIXES = ['image/', 'video/', 'audio/', 'font/'];
+const SAFE_CONTENT_TYPES = ['text/plain', 'text/css', 'application/pdf', 'application/json', 'application/ogg'];
+
+// SVG is an image but may carry scripts; this keeps them from running if it is opened directly.
+const SVG_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; sandbox";
+const { DEFAULT_FILENAME } = config;
 
 function extractFilename(urlString, defaultFilename = DEFAULT_FILENAME) {
     try {
@@ -19,36 +25,103 @@ function extractFilename(urlString, defaultFilename = DEFAULT_FILENAME) {
     }
 }
 
-function setResponseHeaders(res, { contentType, contentLength, filename }) {
-    const safeContentType = ALLOWED_CONTENT_TYPES.includes(contentType)
-        ? contentType
-        : 'application/octet-stream';
-    res.setHeader('Content-Type', safeContentType);
+// Charset names kept from the origin's Content-Type.
+const CHARSET_PATTERN = /^[a-z0-9._:-]+$/i;
+
+/**
+ * Checks whether a MIME type can be served as is and displayed inline.
+ * @param {string} type - The bare MIME type, as returned by `mimeType`.
+ * @returns {boolean} True if it is safe to keep.
+ */
+function isSafeContentType(type) {
+    return SAFE_CONTENT_TYPE_PREFIXES.some(prefix => type.startsWith(prefix)) || SAFE_CONTENT_TYPES.includes(type);
+}
+
+/**
+ * Rebuilds the origin's Content-Type from its MIME type and charset alone, so the client
+ * sees exactly the type that was checked rather than whatever else the header carried.
+ * @param {string} contentType - The origin's Content-Type.
+ * @returns {string} The normalized Content-Type, empty if it wasn't a single valid type.
+ */
+function normalizeContentType(contentType) {
+    const type = mimeType(contentType);
+    if (!type) return '';
+    const charset = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(String(contentType))?.[1];
+    return charset && CHARSET_PATTERN.test(charset) ? `${type}; charset=${charset}` : type;
+}
+
+function setResponseHeaders(res, { contentType, contentLength, filename, reason }) {
+    const type = mimeType(contentType);
+    const safe = isSafeContentType(type);
+    res.setHeader('Content-Type', safe ? normalizeContentType(contentType) : 'application/octet-stream');
+    if (type === 'image/svg+xml') {
+        res.setHeader('Content-Security-Policy', SVG_CONTENT_SECURITY_POLICY);
+    }
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('X-Frame-Options', 'DENY');
     res.setHeader('x-proxy-bypass', '1');
+    if (reason) res.setHeader('X-Bypass-Reason', reason);
     if (contentLength) res.setHeader('Content-Length', contentLength);
-    if (filename) res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (filename) res.setHeader('Content-Disposition', `${safe ? 'inline' : 'attachment'}; filename="${filename}"`);
+}
+
+/**
+ * Streams an origin body to the client, ending the response if the origin fails midway.
+ */
+function sendStream(req, res, stream) {
+    pipeline(stream, res, (streamError) => {
+        if (!streamError) return;
+        console.error({ message: 'Error streaming origin body', url: req.params?.url, error: streamError.message });
+        if (!res.headersSent) {
+            res.status(502).json({ error: 'Error streaming content' });
+        }
+    });
 }
 
-function bypass(req, res, buffer) {
+/**
+ * Forwards the original content unchanged, with the status already set on `res`
+ * (e.g. 206 for a relayed byte range). Safe content types keep their type and are
+ * served inline; others become attachments.
+ * The reason, `req.params.bypassReason` or else the shouldCompress reason, is sent in
+ * X-Bypass-Reason and recorded in the statistics.
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Buffer|Readable} body - The origin body, either read into memory or still streaming.
+ */
+function bypass(req, res, body) {
     if (!req || !res) {
         console.error('Request or Response objects are missing or invalid');
         return res?.status(500)?.json({ error: 'Server error' });
     }
-    if (!Buffer.isBuffer(buffer) || buffer.length > MAX_BUFFER_SIZE) {
-        console.error('Invalid or oversized buffer');
-        return res.status(500).json({ error: 'Invalid or oversized buffer' });
+    const isStream = body instanceof Readable;
+    if (!Buffer.isBuffer(body) && !isStream) {
+        console.error('Invalid body');
+        return res.status(500).json({ error: 'Invalid body' });
     }
+    const buffer = isStream ? null : body;
+    const reason = req.params?.bypassReason || req.params?.compressReason;
     try {
         const filename = extractFilename(req.params?.url || '', DEFAULT_FILENAME);
         setResponseHeaders(res, {
             contentType: req.params?.originType,
-            contentLength: buffer.length,
+            // A streamed body's length is only known when the origin declared it.
+            contentLength: isStream ? req.params?.originSize : buffer.length,
             filename,
+            reason,
         });
 
-        if (buffer.length < 1024) {
+        // The bytes are the origin's own, so its ETag and Last-Modified still apply.
+        if (req.fresh) {
+            if (isStream) body.destroy();
+            res.removeHeader('Content-Length');
+            res.status(304).end();
+        } else if (req.method === 'HEAD') {
+            // Headers only; the origin body isn't needed.
+            if (isStream) body.destroy();
+            res.end();
+        } else if (isStream) {
+            sendStream(req, res, body);
+        } else if (buffer.length < 1024) {
             // For small buffers, send directly.
             res.send(buffer);
         } else {
@@ -63,6 +136,11 @@ function bypass(req, res, buffer) {
             });
         }
 
+        recordOutcome('bypass', reason);
+        if (res.statusCode !== 304 && req.method !== 'HEAD') {
+            const size = isStream ? req.params?.originSize : buffer.length;
+            recordTransfer({ url: req.params?.url, format: 'original', bytesIn: size, bytesOut: size });
+        }
         console.log(`Successfully bypassed content for URL: ${req.params?.url}`);
     } catch (error) {
         console.error({ message: 'Error in bypass', error: error.message });
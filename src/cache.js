@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import createMemoryStore from './cache/memoryStore.js';
+import createDiskStore from './cache/diskStore.js';
+import { forwardsCookies } from './privacy.js';
+import config from './config.js';
+
+// Storage backend for compressed results: "memory", "disk" or "none".
+const { CACHE_BACKEND, CACHE_DIR, CACHE_MAX_BYTES, CACHE_MAX_ENTRY_BYTES } = config;
+
+// Lifetime when the origin sends no freshness information, and the upper bound for any entry.
+const { CACHE_DEFAULT_TTL, CACHE_MAX_TTL } = config;
+
+// How long an expired entry is kept so it can be revalidated with a conditional origin request.
+const { CACHE_STALE_TTL } = config;
+
+// Response headers that describe the connection or this particular response, not the cached body.
+const UNCACHED_HEADERS = [
+    'content-length', 'connection', 'keep-alive', 'transfer-encoding', 'date', 'x-cache', 'x-powered-by',
+    'x-ratelimit-limit', 'x-ratelimit-remaining', 'retry-after', 'x-privacy-mode',
+];
+
+const store = createStore(CACHE_BACKEND);
+const CACHE_ENABLED = store !== null;
+
+/**
+ * Creates the configured cache store.
+ * @param {string} backend - "memory", "disk" or "none".
+ * @returns {Object|null} The store, or null when caching is disabled.
+ */
+function createStore(backend) {
+    switch (backend) {
+        case 'none':
+            return null;
+        case 'disk':
+            return createDiskStore({ directory: CACHE_DIR, maxBytes: CACHE_MAX_BYTES });
+        default:
+            return createMemoryStore({ maxBytes: CACHE_MAX_BYTES });
+    }
+}
+
+/**
+ * Normalizes a URL so trivially different spellings share a cache entry:
+ * lowercase scheme and host, no default port, no fragment.
+ * @param {string} urlString - The validated origin URL.
+ * @returns {string} The normalized URL.
+ */
+function normalizeUrl(urlString) {
+    try {
+        const url = new URL(urlString);
+        url.hash = '';
+        return url.href;
+    } catch {
+        return urlString;
+    }
+}
+
+/**
+ * Builds the cache key from the normalized URL and every parameter that affects the output,
+ * including a per-domain rule's forced `compress` setting or `bypass` action.
+ * @param {Object} params - The request's `req.params`.
+ * @returns {string} A hex digest, safe as a file name.
+ */
+function cacheKey(params) {
+    const { url, format, quality, grayscale, width, height, fit, dpr, forceCompress } = params;
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([normalizeUrl(url), format, quality, grayscale, width, height, fit, dpr, forceCompress]))
+        .digest('hex');
+}
+
+/**
+ * Works out how long a compressed result stays fresh from the origin's headers.
+ * `no-store` and `private` forbid caching; `no-cache` means "revalidate every time";
+ * otherwise `s-maxage`, `max-age` or `Expires` apply, falling back to
+ * CACHE_DEFAULT_TTL, and never above CACHE_MAX_TTL.
+ * @param {Object} headers - The origin response headers.
+ * @returns {number|null} Freshness lifetime in seconds, or null when the result must not be cached.
+ */
+function cacheTtl(headers = {}) {
+    const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+    if (hasDirective(cacheControl, 'no-store') || hasDirective(cacheControl, 'private')) return null;
+    if (hasDirective(cacheControl, 'no-cache')) return 0;
+
+    const sharedMaxAge = cacheControl.match(/s-maxage\s*=\s*"?(\d+)/);
+    const maxAge = cacheControl.match(/max-age\s*=\s*"?(\d+)/);
+    let ttl;
+    if (sharedMaxAge) {
+        ttl = parseInt(sharedMaxAge[1], 10);
+    } else if (maxAge) {
+        ttl = parseInt(maxAge[1], 10);
+    } else if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        ttl = isNaN(expires) ? 0 : Math.floor((expires - Date.now()) / 1000);
+    } else {
+        ttl = CACHE_DEFAULT_TTL;
+    }
+    return Math.min(Math.max(ttl, 0), CACHE_MAX_TTL);
+}
+
+/**
+ * Checks a lowercase Cache-Control value for a directive.
+ * @param {string} cacheControl - The Cache-Control header value.
+ * @param {string} directive - The directive name.
+ * @returns {boolean} True if the directive is present.
+ */
+function hasDirective(cacheControl, directive) {
+    return new RegExp(`(^|[\\s,])${directive}([\\s,=]|$)`).test(cacheControl);
+}
+
+/**
+ * Checks whether a request may use the cache. Not when the client's cookies go to the
+ * origin: the response may then be personal to the client, so it is neither served from
+ * nor stored in the shared cache, as coalesce doesn't share it either.
+ * @param {Object} req - The HTTP request object, after the params middleware.
+ * @returns {boolean} True if the cache is enabled and the request may use it.
+ */
+function usesCache(req) {
+    return CACHE_ENABLED && !forwardsCookies(req);
+}
+
+/**
+ * Looks up the compressed result for a request. Entries past their freshness
+ * lifetime are still returned, with `fresh: false`, while they have origin
+ * validators that a conditional request can check.
+ * @param {Object} req - The HTTP request object, after the params middleware.
+ * @returns {Promise<{ body: Buffer, meta: Object, fresh: boolean }|undefined>} The cached entry, if any.
+ */
+async function readCache(req) {
+    if (!usesCache(req)) return undefined;
+    try {
+        const entry = await store.get(cacheKey(req.params));
+        if (!entry) return undefined;
+        return { ...entry, fresh: entry.meta.freshUntil > Date.now() };
+    } catch (error) {
+        console.error({ message: 'Cache read failed', error: error.message });
+        return undefined;
+    }
+}
+
+/**
+ * Stores an entry fresh for `ttl` seconds, kept CACHE_STALE_TTL longer when it can be revalidated.
+ * @param {Object} req - The HTTP request object.
+ * @param {{ body: Buffer, meta: Object }} entry - The entry to store.
+ * @param {number} ttl - Freshness lifetime in seconds.
+ */
+async function storeEntry(req, { body, meta }, ttl) {
+    const freshTtl = Math.min(ttl, CACHE_MAX_TTL);
+    const revalidatable = Boolean(meta.origin?.etag || meta.origin?.lastModified);
+    const storedTtl = freshTtl + (revalidatable ? CACHE_STALE_TTL : 0);
+    if (storedTtl <= 0) return;
+
+    try {
+        await store.set(cacheKey(req.params), {
+            body,
+            meta: { ...meta, freshUntil: Date.now() + freshTtl * 1000 },
+        }, storedTtl);
+    } catch (error) {
+        console.error({ message: 'Cache write failed', error: error.message });
+    }
+}
+
+/**
+ * Stores a compressed result, or an original that compressing didn't shrink, along with
+ * the response headers already set on `res` and the origin's validators. Skipped when the request can't use the cache, the origin
+ * forbids it, the body is too large, or `req.skipCacheWrite` is set (batch items that don't warm).
+ * @param {Object} req - The HTTP request object; `req.params.cacheTtl` holds the lifetime
+ *   and `req.params.originValidators` the origin's ETag and Last-Modified.
+ * @param {Object} res - The HTTP response object whose headers describe `body`.
+ * @param {Buffer} body - The compressed output, or the original sent in its place.
+ */
+async function writeCache(req, res, body) {
+    const ttl = req.params.cacheTtl;
+    if (!usesCache(req) || req.skipCacheWrite || ttl === null || ttl === undefined || body.length > CACHE_MAX_ENTRY_BYTES) return;
+
+    const headers = {};
+    for (const [name, value] of Object.entries(res.getHeaders())) {
+        if (!UNCACHED_HEADERS.includes(name)) headers[name] = value;
+    }
+
+    await storeEntry(req, { body, meta: { headers, origin: req.params.originValidators } }, ttl);
+}
+
+/**
+ * Marks a stale entry fresh again after the origin answered 304 Not Modified.
+ * @param {Object} req - The HTTP request object.
+ * @param {{ body: Buffer, meta: Object }} entry - The stale entry.
+ * @param {Object} headers - The origin's 304 response headers.
+ */
+async function refreshCache(req, entry, headers) {
+    const ttl = cacheTtl(headers);
+    if (ttl === null) {
+        await store.delete(cacheKey(req.params));
+        return;
+    }
+    await storeEntry(req, entry, ttl);
+}
+
+/**
+ * Conditional request headers that revalidate a stale entry with the origin.
+ * @param {{ meta: Object }} entry - The stale entry.
+ * @returns {Object} `If-None-Match` and/or `If-Modified-Since` headers.
+ */
+function revalidationHeaders({ meta }) {
+    const headers = {};
+    if (meta.origin?.etag) headers['If-None-Match'] = meta.origin.etag;
+    if (meta.origin?.lastModified) headers['If-Modified-Since'] = meta.origin.lastModified;
+    return headers;
+}
+
+/**
+ * Sends a cached entry with the headers it was stored with. Express answers
+ * 304 itself when the client's validators match the stored ETag or Last-Modified.
+ * @param {Object} res - The HTTP response object.
+ * @param {{ body: Buffer, meta: Object }} entry - The cached entry.
+ * @param {string} [status='HIT'] - Value of the X-Cache header.
+ */
+function sendCached(res, { body, meta }, status = 'HIT') {
+    for (const [name, value] of Object.entries(meta.headers || {})) {
+        res.setHeader(name, value);
+    }
+    res.setHeader('X-Cache', status);
+    res.status(200).send(body);
+}
+
+export { readCache, writeCache, refreshCache, revalidationHeaders, sendCached, cacheTtl, cacheKey, usesCache, UNCACHED_HEADERS };
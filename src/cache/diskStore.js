@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local-disk cache store bounded by total body size, with the same interface as
+ * the memory store. Each entry is a `<key>.bin` body next to a `<key>.json` with
+ * its metadata and expiry. Keys must be safe file names (the cache uses hex digests).
+ * Existing entries are indexed on first use, so the cache survives restarts.
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding the cache files; created if missing.
+ * @param {number} options.maxBytes - Total body bytes to keep before evicting the least recently used.
+ * @returns {{ get: Function, set: Function, delete: Function }} The store.
+ */
+function createDiskStore({ directory, maxBytes }) {
+    // key -> { size, expiresAt }, in least-recently-used-first order.
+    const index = new Map();
+    let totalBytes = 0;
+    let ready = null;
+
+    const bodyPath = key => path.join(directory, `${key}.bin`);
+    const metaPath = key => path.join(directory, `${key}.json`);
+
+    async function loadIndex() {
+        await fs.mkdir(directory, { recursive: true });
+        for (const file of await fs.readdir(directory)) {
+            if (!file.endsWith('.json')) continue;
+            const key = file.slice(0, -'.json'.length);
+            try {
+                const { size, expiresAt } = JSON.parse(await fs.readFile(metaPath(key), 'utf8'));
+                index.set(key, { size, expiresAt });
+                totalBytes += size;
+            } catch {
+                await remove(key);
+            }
+        }
+        await evict();
+    }
+
+    function init() {
+        ready = ready || loadIndex().catch(error => {
+            console.error({ message: 'Failed to load disk cache index', directory, error: error.message });
+        });
+        return ready;
+    }
+
+    async function remove(key) {
+        const entry = index.get(key);
+        if (entry) {
+            index.delete(key);
+            totalBytes -= entry.size;
+        }
+        await Promise.all([
+            fs.rm(bodyPath(key), { force: true }),
+            fs.rm(metaPath(key), { force: true }),
+        ]);
+    }
+
+    async function evict() {
+        for (const [key, entry] of index) {
+            if (totalBytes <= maxBytes && entry.expiresAt > Date.now()) continue;
+            await remove(key);
+        }
+    }
+
+    async function get(key) {
+        await init();
+        const entry = index.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            await remove(key);
+            return undefined;
+        }
+
+        try {
+            const [body, metaJson] = await Promise.all([
+                fs.readFile(bodyPath(key)),
+                fs.readFile(metaPath(key), 'utf8'),
+            ]);
+            index.delete(key);
+            index.set(key, entry);
+            return { body, meta: JSON.parse(metaJson).meta };
+        } catch (error) {
+            console.warn({ message: 'Dropping unreadable disk cache entry', key, error: error.message });
+            await remove(key);
+            return undefined;
+        }
+    }
+
+    async function set(key, { body, meta }, ttlSeconds) {
+        await init();
+        if (body.length > maxBytes) return;
+        await remove(key);
+
+        const expiresAt = Date.now() + ttlSeconds * 1000;
+        const suffix = `.${process.pid}.${Date.now()}.tmp`;
+        // Write to temporary names first so readers never see a partial entry.
+        await fs.writeFile(bodyPath(key) + suffix, body);
+        await fs.writeFile(metaPath(key) + suffix, JSON.stringify({ size: body.length, expiresAt, meta }));
+        await fs.rename(bodyPath(key) + suffix, bodyPath(key));
+        await fs.rename(metaPath(key) + suffix, metaPath(key));
+
+        index.set(key, { size: body.length, expiresAt });
+        totalBytes += body.length;
+        await evict();
+    }
+
+    return { get, set, delete: async key => { await init(); await remove(key); } };
+}
+
+export default createDiskStore;
@@ -0,0 +1,53 @@
+/**
+ * In-memory LRU cache store bounded by total body size.
+ *
+ * Every store exposes the same promise-based interface:
+ * - `get(key)` resolves to `{ body, meta }`, or `undefined` when missing or expired
+ * - `set(key, { body, meta }, ttlSeconds)` stores an entry for `ttlSeconds`
+ * - `delete(key)` removes an entry
+ *
+ * @param {Object} options
+ * @param {number} options.maxBytes - Total body bytes to keep before evicting the least recently used.
+ * @returns {{ get: Function, set: Function, delete: Function }} The store.
+ */
+function createMemoryStore({ maxBytes }) {
+    // Map iteration order doubles as recency order: the first key is the least recently used.
+    const entries = new Map();
+    let totalBytes = 0;
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entries.delete(key);
+        totalBytes -= entry.body.length;
+    }
+
+    async function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            remove(key);
+            return undefined;
+        }
+        // Move to the most recently used position.
+        entries.delete(key);
+        entries.set(key, entry);
+        return { body: entry.body, meta: entry.meta };
+    }
+
+    async function set(key, { body, meta }, ttlSeconds) {
+        if (body.length > maxBytes) return;
+        remove(key);
+        entries.set(key, { body, meta, expiresAt: Date.now() + ttlSeconds * 1000 });
+        totalBytes += body.length;
+
+        for (const oldestKey of entries.keys()) {
+            if (totalBytes <= maxBytes) break;
+            remove(oldestKey);
+        }
+    }
+
+    return { get, set, delete: async key => remove(key) };
+}
+
+export default createMemoryStore;
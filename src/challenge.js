@@ -0,0 +1,56 @@
+// Only the start of a page is searched for challenge markers.
+const BODY_SNIFF_BYTES = 64 * 1024;
+
+// Markers in challenge and interstitial pages served by anti-bot services, by vendor.
+const BODY_SIGNATURES = {
+    cloudflare: [
+        '/cdn-cgi/challenge-platform/', 'cf_chl_opt', 'cf-browser-verification', 'jschl-answer',
+        '<title>Just a moment...</title>', 'Attention Required! | Cloudflare',
+    ],
+    'ddos-guard': ['ddos-guard.net/', 'DDoS-Guard'],
+    sucuri: ['sucuri_cloudproxy', 'Sucuri WebSite Firewall'],
+    datadome: ['captcha-delivery.com', 'geo.captcha-delivery'],
+    imperva: ['_Incapsula_Resource', 'Incapsula incident ID'],
+    perimeterx: ['px-captcha', '_pxCaptcha'],
+    akamai: ['/_sec/cp_challenge/', 'sec-if-cpt-container'],
+};
+
+/**
+ * Checks whether an error response could be a challenge page; they are always HTML.
+ * @param {Object} headers - The origin response headers.
+ * @returns {boolean} True if the body should be searched for challenge markers.
+ */
+function mayBeChallengePage(headers) {
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    return !contentType || contentType.startsWith('text/html');
+}
+
+/**
+ * Checks the response headers for a challenge: Cloudflare marks its challenges with
+ * `cf-mitigated`, and DDoS-Guard and DataDome answer every blocked request with an HTML
+ * challenge identified by their `server` or `x-datadome` header.
+ * @param {Object} headers - The origin response headers.
+ * @returns {string|null} The vendor, or null.
+ */
+function challengeFromHeaders(headers) {
+    if (String(headers['cf-mitigated'] || '').toLowerCase() === 'challenge') return 'cloudflare';
+    if (!mayBeChallengePage(headers)) return null;
+    if (String(headers.server || '').toLowerCase() === 'ddos-guard') return 'ddos-guard';
+    if (headers['x-datadome']) return 'datadome';
+    return null;
+}
+
+/**
+ * Searches the start of an HTML body for challenge markers.
+ * @param {Buffer} body - The decoded body.
+ * @returns {string|null} The vendor, or null.
+ */
+function challengeFromBody(body) {
+    const text = body.subarray(0, BODY_SNIFF_BYTES).toString('latin1');
+    for (const [vendor, signatures] of Object.entries(BODY_SIGNATURES)) {
+        if (signatures.some(signature => text.includes(signature))) return vendor;
+    }
+    return null;
+}
+
+export { challengeFromHeaders, challengeFromBody, mayBeChallengePage };
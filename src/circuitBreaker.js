@@ -0,0 +1,103 @@
+import config from './config.js';
+import { recordCircuitState } from './stats.js';
+
+// Consecutive failures that open a host's circuit (0 disables the breaker), and how long it stays open.
+const { BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN } = config;
+
+// host -> { state: "closed" | "open" | "half-open", failures, failedAt, openedAt, probing }
+const circuits = new Map();
+
+// Closed circuits whose last failure is older than a cooldown are forgotten, so failures must be recent to add up.
+if (BREAKER_FAILURE_THRESHOLD) {
+    setInterval(() => {
+        const now = Date.now();
+        for (const [host, circuit] of circuits) {
+            if (circuit.state === 'closed' && now - circuit.failedAt >= BREAKER_COOLDOWN) circuits.delete(host);
+        }
+    }, BREAKER_COOLDOWN).unref();
+}
+
+/**
+ * Moves a circuit to a new state, logging and recording the transition.
+ */
+function transition(host, circuit, state) {
+    if (circuit.state === state) return;
+    circuit.state = state;
+    console.warn(`Circuit for ${host} is now ${state}${state === 'open' ? ` after ${circuit.failures} consecutive failures` : ''}`);
+    recordCircuitState(host, state);
+}
+
+/**
+ * Creates the error for a request refused because the host's circuit is open.
+ * @param {string} host - The origin host.
+ * @returns {Error} An error with code `ERR_CIRCUIT_OPEN`.
+ */
+function circuitOpenError(host) {
+    const error = new Error(`Circuit open for ${host}`);
+    error.code = 'ERR_CIRCUIT_OPEN';
+    return error;
+}
+
+/**
+ * Checks whether a request to a host may go ahead. Once an open circuit's cooldown has
+ * passed, a single probe request is let through (half-open); its outcome closes the
+ * circuit again or re-opens it for another cooldown.
+ *
+ * @param {string} host - The origin host.
+ * @throws {Error} With code `ERR_CIRCUIT_OPEN` when the request must not be made.
+ */
+function acquire(host) {
+    if (!BREAKER_FAILURE_THRESHOLD) return;
+    const circuit = circuits.get(host);
+    if (!circuit || circuit.state === 'closed') return;
+
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= BREAKER_COOLDOWN) {
+        transition(host, circuit, 'half-open');
+    }
+    if (circuit.state === 'half-open' && !circuit.probing) {
+        circuit.probing = true;
+        return;
+    }
+    throw circuitOpenError(host);
+}
+
+/**
+ * Records a successful response from a host, closing its circuit.
+ * @param {string} host - The origin host.
+ */
+function recordSuccess(host) {
+    const circuit = circuits.get(host);
+    if (!circuit) return;
+    transition(host, circuit, 'closed');
+    circuits.delete(host);
+}
+
+/**
+ * Ends a request whose outcome says nothing about the host's health (e.g. a refused
+ * target), so a half-open circuit can let another probe through.
+ * @param {string} host - The origin host.
+ */
+function release(host) {
+    const circuit = circuits.get(host);
+    if (circuit) circuit.probing = false;
+}
+
+/**
+ * Records a failed request to a host, opening its circuit at the threshold
+ * or when a half-open probe fails.
+ * @param {string} host - The origin host.
+ */
+function recordFailure(host) {
+    if (!BREAKER_FAILURE_THRESHOLD) return;
+    const circuit = circuits.get(host) || { state: 'closed', failures: 0 };
+    circuits.set(host, circuit);
+    circuit.failures += 1;
+    circuit.failedAt = Date.now();
+    circuit.probing = false;
+    if (circuit.state === 'half-open' || circuit.failures >= BREAKER_FAILURE_THRESHOLD) {
+        circuit.openedAt = Date.now();
+        transition(host, circuit, 'open');
+    }
+}
+
+export { acquire, release, recordSuccess, recordFailure };
@@ -0,0 +1,134 @@
+import { cacheKey, UNCACHED_HEADERS } from './cache.js';
+import { forwardsCookies } from './privacy.js';
+import onResponseChunk from './onResponseChunk.js';
+import { recordOutcome, recordTransfer } from './stats.js';
+import config from './config.js';
+
+// Largest response kept for waiting requests; longer ones, such as streamed passthrough, aren't shared.
+const { MAX_BUFFER_SIZE } = config;
+
+// cache key -> Promise of the first request's recorded response, or of null when it can't be shared
+const inFlight = new Map();
+
+/**
+ * Records a response as it is written, independently of whether its client is still there.
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {{ response: Promise<{ status: number, headers: Object, body: Buffer }|null>, handled: Function }}
+ *   The response once ended, or null when it is too large, a 304 for this client's validators,
+ *   private or no-store at the origin (`req.params.cacheTtl` is null), or closed before it
+ *   ended; `handled` is called once the handler has returned.
+ */
+function recordResponse(req, res) {
+    let settle;
+    const response = new Promise(resolve => {
+        settle = resolve;
+    });
+
+    const chunks = [];
+    let size = 0;
+    onResponseChunk(res, (data) => {
+        if (size > MAX_BUFFER_SIZE) return;
+        size += data.length;
+        chunks.push(data);
+        if (size > MAX_BUFFER_SIZE) {
+            // Waiting requests needn't sit through the rest of a long stream.
+            chunks.length = 0;
+            settle(null);
+        }
+    }, () => {
+        const shareable = size <= MAX_BUFFER_SIZE && res.statusCode !== 304 && req.params.cacheTtl !== null;
+        const body = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, size);
+        settle(shareable ? { status: res.statusCode, headers: res.getHeaders(), body } : null);
+    });
+
+    // A closed response still ends if the handler is at work, e.g. encoding; a passthrough
+    // stream cut off by its client never does.
+    let closed = false;
+    let handled = false;
+    res.once('close', () => {
+        closed = true;
+        if (handled) settle(null);
+    });
+    return {
+        response,
+        handled: () => {
+            handled = true;
+            if (closed) settle(null);
+        },
+    };
+}
+
+/**
+ * Sends a recorded response with this client's own per-response headers, e.g. its rate limit.
+ * Express answers 304 itself when the client's validators match.
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {{ status: number, headers: Object, body: Buffer }} recorded - The shared response.
+ */
+function replay(req, res, { status, headers, body }) {
+    for (const [name, value] of Object.entries(headers)) {
+        if (!UNCACHED_HEADERS.includes(name)) res.setHeader(name, value);
+    }
+    res.setHeader('X-Coalesced', '1');
+    res.status(status).send(body);
+
+    const compressed = headers['x-original-size'] !== undefined;
+    recordOutcome('coalesced', compressed ? 'compress' : headers['x-bypass-reason'] || headers['x-proxy-error'] || 'none');
+    if (status >= 200 && status < 300) {
+        recordTransfer({
+            url: req.params.url,
+            format: compressed ? String(headers['content-type']).replace('image/', '') : 'original',
+            bytesIn: compressed ? parseInt(headers['x-original-size'], 10) : body.length,
+            bytesOut: body.length,
+        });
+    }
+}
+
+/**
+ * Wraps a request handler to deduplicate identical requests in flight. The first request
+ * for a URL and output parameters (the cache key) runs the handler; requests arriving
+ * before it ends wait and are answered with a copy of its response, failures included,
+ * unless it is private to the client.
+ * The handler's work carries on when the first client goes away; only when that cuts off a
+ * passthrough stream do the waiting requests run the handler themselves. Mount it after
+ * `params` and `rules`.
+ *
+ * @param {Function} handler - An async `(req, res)` handler, i.e. `proxy`.
+ * @returns {Function} A handler resolving once the response and the handler's work are done.
+ */
+function coalesce(handler) {
+    return async function coalesced(req, res) {
+        // Ranges, HEAD requests, and requests sending the client's cookies upstream get
+        // answers that only fit themselves.
+        if (req.method !== 'GET' || req.headers.range || forwardsCookies(req)) return handler(req, res);
+
+        const key = cacheKey(req.params);
+        const pending = inFlight.get(key);
+        if (pending) {
+            const shared = await pending;
+            if (!shared) return handler(req, res);
+            try {
+                replay(req, res, shared);
+            } catch (error) {
+                console.error({ message: 'Failed to serve coalesced response', url: req.params.url, error: error.message });
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Internal Server Error' });
+                }
+            }
+            return;
+        }
+
+        const recording = recordResponse(req, res);
+        inFlight.set(key, recording.response);
+        try {
+            await handler(req, res);
+        } finally {
+            recording.handled();
+            // Requests arriving until then, e.g. during the cache write, are still answered with the copy.
+            recording.response.then(() => inFlight.delete(key));
+        }
+    };
+}
+
+export default coalesce;
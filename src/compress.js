@@ -1,36 +1,221 @@
 import sharp from 'sharp';
-import redirect from './redirect.js';
+import crypto from 'crypto';
+import handleFailure from './failure.js';
+import adaptiveQuality from './adaptiveQuality.js';
+import inspectAnimation from './animation.js';
+import checkInputLimits from './inputLimits.js';
+import bypass from './bypass.js';
+import acquireEncodeSlot from './encodeQueue.js';
+import { writeCache } from './cache.js';
+import { recordOutcome, recordTransfer, observeEncode, secondsSince } from './stats.js';
+import config from './config.js';
+
+// Encoder settings per output format. AVIF encodes far slower than WebP or JPEG,
+// so it gets its own effort, quality offset and a longer processing timeout.
+const FORMAT_SETTINGS = {
+  webp: { effort: config.WEBP_EFFORT, qualityOffset: 0, timeout: config.SHARP_TIMEOUT },
+  jpeg: { qualityOffset: 0, timeout: config.SHARP_TIMEOUT },
+  avif: { effort: config.AVIF_EFFORT, qualityOffset: config.AVIF_QUALITY_OFFSET, timeout: config.AVIF_TIMEOUT },
+};
+
+// WebP can't encode more than 16383px in either direction.
+const MAX_DIMENSION = 16383;
+
+// Operator cap on the longest side of every output; 0 disables it.
+const { DEFAULT_MAX_DIMENSION } = config;
+
+// Images up to this size are sent as they are when the encode queue turns them away; 0 disables it.
+const { ENCODE_SHED_BYPASS_BYTES } = config;
+
+// Clients turned away by the encode queue are asked to retry after about one queue wait.
+const OVERLOAD_RETRY_AFTER = Math.ceil(config.ENCODE_QUEUE_TIMEOUT / 1000);
+
+/**
+ * Works out the resize box from the requested width, height, fit and device pixel
+ * ratio, the operator's default maximum and the WebP limit. Never upscales.
+ */
+function resizeOptions({ width, height, fit = 'inside', dpr = 1 }) {
+  let targetWidth = width ? Math.round(width * dpr) : undefined;
+  let targetHeight = height ? Math.round(height * dpr) : undefined;
+
+  if (DEFAULT_MAX_DIMENSION > 0) {
+    if (!targetWidth && !targetHeight) {
+      targetWidth = targetHeight = DEFAULT_MAX_DIMENSION;
+    } else {
+      // Shrink the requested box as a whole so "cover" keeps its aspect ratio.
+      const scale = Math.min(1, DEFAULT_MAX_DIMENSION / Math.max(targetWidth || 0, targetHeight || 0));
+      targetWidth = targetWidth && Math.round(targetWidth * scale);
+      targetHeight = targetHeight && Math.round(targetHeight * scale);
+    }
+  }
+
+  // With a single side (or none) requested, the other side is only bounded by the WebP limit.
+  if (!targetWidth || !targetHeight) {
+    fit = 'inside';
+  }
+
+  return {
+    width: Math.min(targetWidth || MAX_DIMENSION, MAX_DIMENSION),
+    height: Math.min(targetHeight || MAX_DIMENSION, MAX_DIMENSION),
+    fit,
+    withoutEnlargement: true,
+  };
+}
+
+/**
+ * Estimates how much of the original frame area survives a resize box, so adaptive
+ * quality judges the image the client will actually receive.
+ */
+function outputAreaRatio(metadata, { width, height, fit }) {
+  const frameWidth = metadata.width;
+  const frameHeight = metadata.pageHeight || metadata.height;
+  if (!frameWidth || !frameHeight) return 1;
+
+  const scaleX = Math.min(1, width / frameWidth);
+  const scaleY = Math.min(1, height / frameHeight);
+  if (fit === 'fill') return scaleX * scaleY;
+
+  const scale = fit === 'cover' || fit === 'outside' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  return scale * scale;
+}
+
+/**
+ * Builds the sharp output options for a format at the requested quality.
+ */
+function formatOptions(format, quality) {
+  const { effort, qualityOffset } = FORMAT_SETTINGS[format];
+  const options = { quality: Math.min(Math.max(quality + qualityOffset, 1), 100) };
+  if (effort !== undefined) options.effort = effort;
+  return options;
+}
+
+/**
+ * Strong ETag derived from the encoded bytes.
+ */
+function strongEtag(data) {
+  return `"${crypto.createHash('sha256').update(data).digest('base64url').slice(0, 27)}"`;
+}
+
+/**
+ * Answers a request the encode queue turned away without using sharp: small images are
+ * sent as they are, larger ones get the `overloaded` failure (503 with Retry-After by default).
+ */
+function shedLoad(req, res, inputBuffer, error) {
+  console.warn(`Shedding ${req.params.url}: ${error.message}`);
+  if (inputBuffer.length <= ENCODE_SHED_BYPASS_BYTES) {
+    req.params.bypassReason = 'overloaded';
+    return bypass(req, res, inputBuffer);
+  }
+  handleFailure(req, res, 'overloaded', { body: inputBuffer, retryAfter: OVERLOAD_RETRY_AFTER });
+}
 
 async function compress(req, res, inputBuffer) {
-  const format = req.params.webp ? 'webp' : 'jpeg';
-  const sharpInstance = sharp(inputBuffer);
-  const MAX_HEIGHT = 16383;
+  let format = req.params.format || (req.params.webp ? 'webp' : 'jpeg');
+
+  let release;
+  try {
+    release = await acquireEncodeSlot();
+  } catch (error) {
+    return shedLoad(req, res, inputBuffer, error);
+  }
 
   try {
-    const metadata = await sharpInstance.metadata();
-    if (metadata.height > MAX_HEIGHT) {
-      sharpInstance.resize({ height: MAX_HEIGHT });
+    const { action, reason } = await inspectAnimation(inputBuffer, req.params.originType);
+    if (action === 'bypass') {
+      res.setHeader('X-Animation', `bypassed; reason=${reason}`);
+      req.params.bypassReason = 'animation-limit';
+      return bypass(req, res, inputBuffer);
+    }
+
+    // JPEG cannot animate, and sharp's AVIF encoder only writes stills,
+    // so animated AVIF requests are served as animated WebP instead.
+    // X-Animation says what happened to the frames and, when it isn't what was asked for, why.
+    const animated = action === 'animate' && format !== 'jpeg';
+    let animationHeader = null;
+    if (animated && format === 'avif') {
+      format = 'webp';
+      animationHeader = 'preserved; reason=avif-as-webp';
+    } else if (animated) {
+      animationHeader = 'preserved';
+    } else if (action !== 'static') {
+      animationHeader = `still; reason=${reason || 'jpeg'}`;
+    }
+
+    // Only the header is read until the input limits have been checked.
+    const metadata = await sharp(inputBuffer, { animated, limitInputPixels: false }).metadata();
+    const limits = checkInputLimits(metadata, animated ? metadata.pages : 1);
+    const frameHeight = metadata.pageHeight || metadata.height;
+    if (limits.reason && !limits.shrink) {
+      console.warn(`Refusing ${req.params.url}: over the ${limits.reason} limit (${metadata.format} ${metadata.width}x${frameHeight}, ${animated ? metadata.pages : 1} frame(s))`);
+      return handleFailure(req, res, 'image-limits', { body: inputBuffer });
+    }
+
+    // sharp's own pixel limit is superseded by the checks above.
+    const sharpInstance = sharp(inputBuffer, { animated, limitInputPixels: false });
+    // For animations sharp applies the box to each frame rather than the whole strip.
+    const resize = resizeOptions(req.params);
+    if (limits.shrink) {
+      // A box this much smaller makes the decoder itself shrink, so the full size is never held in memory.
+      console.warn(`Downscaling ${req.params.url} by ${limits.shrink.toFixed(2)} while decoding: over the ${limits.reason} limit (${metadata.width}x${frameHeight})`);
+      resize.width = Math.min(resize.width, Math.floor(metadata.width / limits.shrink));
+      resize.height = Math.min(resize.height, Math.floor(frameHeight / limits.shrink));
     }
+    sharpInstance.resize(resize);
     //  sharpInstance.sharpen(0.5);
 
     if (req.params.grayscale) {
       sharpInstance.grayscale();
     }
 
-    res.setHeader('Content-Type', `image/${format}`);
+    const quality = adaptiveQuality(metadata, req.params.quality, req.params.originSize, outputAreaRatio(metadata, resize));
+    const options = formatOptions(format, quality);
+    if (animated) {
+      // Keep the source's frame timing and loop count.
+      options.loop = metadata.loop ?? 0;
+      if (metadata.delay) options.delay = metadata.delay;
+    }
 
-    const outputStream = sharpInstance
-      .toFormat(format, { quality: req.params.quality, effort: 0 })
-      .on('info', (info) => {
-        res.setHeader('X-Original-Size', req.params.originSize);
-        res.setHeader('X-Processed-Size', info.size);
-        res.setHeader('X-Bytes-Saved', req.params.originSize - info.size);
-      });
+    const encodeStart = process.hrtime.bigint();
+    const { data, info } = await sharpInstance
+      .timeout({ seconds: FORMAT_SETTINGS[format].timeout })
+      .toFormat(format, options)
+      .toBuffer({ resolveWithObject: true });
+    observeEncode(secondsSince(encodeStart));
+    release();
+
+    // Nothing is set on the response until the outcome is known, so the original can still be sent as is.
+    if (info.size >= req.params.originSize) {
+      console.log(`No savings for ${req.params.url}: ${format} output is ${info.size} bytes, original ${req.params.originSize}; serving original`);
+      req.params.bypassReason = 'no-savings';
+      bypass(req, res, inputBuffer);
+      // Cached with its no-savings reason, so later requests skip the encode.
+      await writeCache(req, res, inputBuffer);
+      return;
+    }
+
+    if (animationHeader) {
+      res.setHeader('X-Animation', animationHeader);
+    }
+    res.setHeader('Content-Type', `image/${format}`);
+    // The origin's byte ranges don't apply to the encoded output.
+    res.removeHeader('Accept-Ranges');
+    // The origin's ETag describes the original bytes; validators must describe this output.
+    res.setHeader('ETag', strongEtag(data));
+    res.setHeader('X-Compression-Quality', options.quality);
+    res.setHeader('X-Original-Size', req.params.originSize);
+    res.setHeader('X-Processed-Size', info.size);
+    res.setHeader('X-Bytes-Saved', req.params.originSize - info.size);
 
-    outputStream.pipe(res);
+    // res.send answers 304 when the client's If-None-Match or If-Modified-Since matches.
+    res.status(200).send(data);
+    recordOutcome('compress', req.params.compressReason);
+    recordTransfer({ url: req.params.url, format, bytesIn: req.params.originSize, bytesOut: info.size });
+    await writeCache(req, res, data);
   } catch (err) {
-    console.error('Error during image processing:', err.message);
-    res.status(500).end('Failed to process the image.');
+    console.error(`Error during ${format} processing:`, err.message);
+    handleFailure(req, res, 'encode', { body: inputBuffer });
+  } finally {
+    release();
   }
 }
 
@@ -0,0 +1,319 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import YAML from 'yaml';
+
+// Load environment variables from .env once, before anything reads them.
+dotenv.config();
+
+const MB = 1024 * 1024;
+
+/**
+ * Every setting the proxy reads, in the order `--print-config` shows them.
+ * Types: `int` and `number` (with optional `min`/`max`), `boolean`, `string`,
+ * `enum` (one of `values`), `list` (comma-separated), `map` (comma-separated `key=value`
+ * pairs, with `keys` and `values` limiting both sides) and `json` (checked by `validate`).
+ * `secret` values are redacted when printed.
+ */
+const SCHEMA = [
+    // Server
+    { name: 'PORT', type: 'int', default: 8080, min: 1, max: 65535 },
+    { name: 'SHUTDOWN_TIMEOUT', type: 'int', default: 10000, min: 0 },
+    { name: 'REQUEST_LOG', type: 'string' },
+    { name: 'TRUST_PROXY', type: 'list', default: [] },
+
+    // Authentication
+    { name: 'LOGIN', type: 'string' },
+    { name: 'PASSWORD', type: 'string', secret: true },
+    { name: 'REALM', type: 'string', default: 'Bandwidth-Hero Compression Service' },
+    { name: 'AUTH_USERS_FILE', type: 'string' },
+    { name: 'AUTH_TOKENS_FILE', type: 'string' },
+    { name: 'AUTH_RELOAD_INTERVAL', type: 'int', default: 5000, min: 100 },
+    { name: 'AUTH_FAILURE_BURST', type: 'int', default: 10, min: 1 },
+    { name: 'AUTH_FAILURE_PER_SECOND', type: 'number', default: 0.1, min: 0 },
+
+    // Rate limits and quotas
+    { name: 'RATE_LIMIT_BURST', type: 'int', default: 200, min: 1 },
+    { name: 'RATE_LIMIT_PER_SECOND', type: 'number', default: 50, min: 0 },
+    { name: 'QUOTA_DAILY_BYTES', type: 'int', default: 0, min: 0 },
+    { name: 'QUOTA_MONTHLY_BYTES', type: 'int', default: 0, min: 0 },
+
+    // Request parameters
+    { name: 'DEFAULT_QUALITY', type: 'int', default: 40, min: 1, max: 100 },
+    { name: 'MIN_QUALITY', type: 'int', default: 10, min: 1, max: 100 },
+    { name: 'MAX_QUALITY', type: 'int', default: 100, min: 1, max: 100 },
+    { name: 'DEFAULT_FORMAT', type: 'enum', default: 'webp', values: ['avif', 'webp', 'jpeg', 'jpg', 'auto'] },
+    { name: 'RULES_FILE', type: 'string' },
+    { name: 'RULES_RELOAD_INTERVAL', type: 'int', default: 5000, min: 100 },
+
+    // Batch requests
+    { name: 'BATCH_MAX_ITEMS', type: 'int', default: 50, min: 1, max: 1000 },
+    { name: 'BATCH_CONCURRENCY', type: 'int', default: 4, min: 1, max: 64 },
+
+    // Fetching
+    { name: 'MAX_BUFFER_SIZE', type: 'int', default: 10 * MB, min: 1 },
+    { name: 'PRIVACY_MODE', type: 'enum', default: 'off', values: ['off', 'on'] },
+    { name: 'PRIVACY_CLIENT_OVERRIDE', type: 'boolean', default: false },
+    { name: 'PRIVACY_COOKIE_ALLOWLIST', type: 'list', default: [] },
+    { name: 'UPSTREAM_PROFILE', type: 'enum', default: 'firefox', values: ['firefox', 'chrome', 'safari'] },
+    { name: 'UPSTREAM_USER_AGENT', type: 'string' },
+    { name: 'UPSTREAM_ACCEPT', type: 'string' },
+    { name: 'UPSTREAM_ACCEPT_LANGUAGE', type: 'string' },
+    { name: 'UPSTREAM_TIMEOUT', type: 'int', default: 10000, min: 1 },
+    { name: 'UPSTREAM_RETRIES', type: 'int', default: 2, min: 0, max: 10 },
+    { name: 'UPSTREAM_RETRY_DELAY', type: 'int', default: 200, min: 0 },
+    { name: 'UPSTREAM_RETRY_MAX_DELAY', type: 'int', default: 2000, min: 0 },
+    { name: 'BREAKER_FAILURE_THRESHOLD', type: 'int', default: 5, min: 0 },
+    { name: 'BREAKER_COOLDOWN', type: 'int', default: 30000, min: 1 },
+    { name: 'SSRF_ALLOWLIST', type: 'list', default: [] },
+    {
+        name: 'FAILURE_POLICY',
+        type: 'map',
+        default: {},
+        keys: [
+            'default', 'timeout', 'dns', 'network', 'origin-status', 'too-large', 'image-limits', 'encode',
+            'circuit-open', 'overloaded', 'internal',
+        ],
+        values: ['redirect', 'passthrough', 'placeholder', 'error'],
+    },
+
+    // Compression
+    { name: 'MIN_COMPRESS_LENGTH', type: 'int', default: 512, min: 0 },
+    { name: 'WEBP_EFFORT', type: 'int', default: 0, min: 0, max: 6 },
+    { name: 'AVIF_EFFORT', type: 'int', default: 1, min: 0, max: 9 },
+    { name: 'AVIF_QUALITY_OFFSET', type: 'int', default: 0, min: -99, max: 99 },
+    { name: 'SHARP_TIMEOUT', type: 'int', default: 10, min: 1 },
+    { name: 'AVIF_TIMEOUT', type: 'int', default: 30, min: 1 },
+    { name: 'ENCODE_CONCURRENCY', type: 'int', default: os.availableParallelism(), min: 1 },
+    { name: 'ENCODE_QUEUE_LIMIT', type: 'int', default: 64, min: 0 },
+    { name: 'ENCODE_QUEUE_TIMEOUT', type: 'int', default: 5000, min: 1 },
+    { name: 'ENCODE_SHED_BYPASS_BYTES', type: 'int', default: 100 * 1024, min: 0 },
+    { name: 'DEFAULT_MAX_DIMENSION', type: 'int', default: 0, min: 0, max: 16383 },
+    { name: 'ADAPTIVE_QUALITY', type: 'boolean', default: true },
+    { name: 'ADAPTIVE_QUALITY_TIERS', type: 'json', validate: validateTiers },
+    { name: 'INPUT_MAX_DIMENSION', type: 'int', default: 30000, min: 1 },
+    { name: 'INPUT_MAX_PIXELS', type: 'int', default: 50000000, min: 1 },
+    { name: 'INPUT_MAX_DECODED_BYTES', type: 'int', default: 256 * MB, min: 1 },
+    { name: 'INPUT_OVER_LIMIT', type: 'enum', default: 'downscale', values: ['downscale', 'refuse'] },
+    { name: 'ANIMATION_MAX_FRAMES', type: 'int', default: 300, min: 1 },
+    { name: 'ANIMATION_MAX_BYTES', type: 'int', default: 8 * MB, min: 1 },
+    { name: 'ANIMATION_OVER_LIMIT', type: 'enum', default: 'still', values: ['still', 'bypass'] },
+
+    // Cache
+    { name: 'CACHE_BACKEND', type: 'enum', default: 'memory', values: ['memory', 'disk', 'none'] },
+    { name: 'CACHE_DIR', type: 'string', default: path.join(os.tmpdir(), 'bandwidth-hero-cache') },
+    { name: 'CACHE_MAX_BYTES', type: 'int', default: 64 * MB, min: 1 },
+    { name: 'CACHE_MAX_ENTRY_BYTES', type: 'int', default: 5 * MB, min: 1 },
+    { name: 'CACHE_DEFAULT_TTL', type: 'int', default: 3600, min: 0 },
+    { name: 'CACHE_MAX_TTL', type: 'int', default: 86400, min: 0 },
+    { name: 'CACHE_STALE_TTL', type: 'int', default: 86400, min: 0 },
+
+    // Responses and statistics
+    { name: 'DEFAULT_FILENAME', type: 'string', default: 'download' },
+    { name: 'STRICT_TRANSFORM', type: 'boolean', default: false },
+    { name: 'STATS_MAX_HOSTS', type: 'int', default: 1000, min: 1 },
+];
+
+/**
+ * Relations between settings that single-value checks can't express. Each lists the
+ * settings it reads and returns a problem description, or nothing when they agree.
+ */
+const CROSS_CHECKS = [
+    {
+        settings: ['MIN_QUALITY', 'DEFAULT_QUALITY', 'MAX_QUALITY'],
+        check: ({ MIN_QUALITY, DEFAULT_QUALITY, MAX_QUALITY }) => (MIN_QUALITY <= DEFAULT_QUALITY && DEFAULT_QUALITY <= MAX_QUALITY) ? null
+            : `MIN_QUALITY <= DEFAULT_QUALITY <= MAX_QUALITY must hold (got ${MIN_QUALITY}, ${DEFAULT_QUALITY}, ${MAX_QUALITY})`,
+    },
+    {
+        settings: ['CACHE_DEFAULT_TTL', 'CACHE_MAX_TTL'],
+        check: ({ CACHE_DEFAULT_TTL, CACHE_MAX_TTL }) => CACHE_DEFAULT_TTL <= CACHE_MAX_TTL ? null
+            : `CACHE_DEFAULT_TTL (${CACHE_DEFAULT_TTL}) must not exceed CACHE_MAX_TTL (${CACHE_MAX_TTL})`,
+    },
+    {
+        settings: ['CACHE_MAX_ENTRY_BYTES', 'CACHE_MAX_BYTES'],
+        check: ({ CACHE_MAX_ENTRY_BYTES, CACHE_MAX_BYTES }) => CACHE_MAX_ENTRY_BYTES <= CACHE_MAX_BYTES ? null
+            : `CACHE_MAX_ENTRY_BYTES (${CACHE_MAX_ENTRY_BYTES}) must not exceed CACHE_MAX_BYTES (${CACHE_MAX_BYTES})`,
+    },
+    {
+        settings: ['LOGIN', 'PASSWORD'],
+        check: ({ LOGIN, PASSWORD }) => Boolean(LOGIN) === Boolean(PASSWORD) ? null
+            : 'LOGIN and PASSWORD must be set together',
+    },
+];
+
+/**
+ * Checks ADAPTIVE_QUALITY_TIERS: a list of tiers with a positive `factor` and numeric bounds.
+ * @param {*} tiers - The parsed value.
+ * @returns {string|undefined} The problem, if any.
+ */
+function validateTiers(tiers) {
+    const valid = Array.isArray(tiers) && tiers.every(tier =>
+        tier && typeof tier.factor === 'number' && tier.factor > 0 &&
+        ['minPixels', 'maxPixels', 'minBytes'].every(key => tier[key] === undefined || typeof tier[key] === 'number')
+    );
+    return valid ? undefined : 'expected an array of tiers with a positive numeric "factor"';
+}
+
+/**
+ * Converts one raw value, from the environment (always a string) or the config file
+ * (any YAML/JSON type), to the setting's type.
+ * @param {Object} setting - The schema entry.
+ * @param {*} raw - The raw value.
+ * @returns {*} The converted value.
+ * @throws {Error} With a description of what is wrong with the value.
+ */
+function convert(setting, raw) {
+    const text = String(raw).trim();
+    switch (setting.type) {
+        case 'int':
+        case 'number': {
+            const pattern = setting.type === 'int' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+            if (!pattern.test(text)) throw new Error(`expected ${setting.type === 'int' ? 'an integer' : 'a number'}`);
+            const value = Number(text);
+            if (setting.min !== undefined && value < setting.min) throw new Error(`must be at least ${setting.min}`);
+            if (setting.max !== undefined && value > setting.max) throw new Error(`must be at most ${setting.max}`);
+            return value;
+        }
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+            throw new Error('expected true or false');
+        case 'enum': {
+            const value = text.toLowerCase();
+            if (!setting.values.includes(value)) throw new Error(`expected one of ${setting.values.join(', ')}`);
+            return value;
+        }
+        case 'list':
+            return (Array.isArray(raw) ? raw.map(String) : text.split(',')).map(item => item.trim()).filter(Boolean);
+        case 'map': {
+            const entries = typeof raw === 'object' && !Array.isArray(raw)
+                ? Object.entries(raw)
+                : text.split(',').filter(item => item.trim()).map(item => item.split('='));
+            const value = {};
+            for (const [key, entryValue] of entries) {
+                const name = String(key).trim();
+                const mapped = String(entryValue ?? '').trim().toLowerCase();
+                if (!setting.keys.includes(name)) throw new Error(`unknown key "${name}"; expected ${setting.keys.join(', ')}`);
+                if (!setting.values.includes(mapped)) throw new Error(`${name}: expected one of ${setting.values.join(', ')}`);
+                value[name] = mapped;
+            }
+            return value;
+        }
+        case 'json': {
+            let value = raw;
+            if (typeof raw === 'string') {
+                try {
+                    value = JSON.parse(raw);
+                } catch (error) {
+                    throw new Error(`invalid JSON: ${error.message}`);
+                }
+            }
+            const problem = setting.validate?.(value);
+            if (problem) throw new Error(problem);
+            return value;
+        }
+        default:
+            return text;
+    }
+}
+
+/**
+ * Reads the optional config file: a flat YAML or JSON map of the same names as the environment variables.
+ * @param {string} file - The file path.
+ * @returns {Object} The raw values.
+ */
+function readConfigFile(file) {
+    const document = YAML.parse(fs.readFileSync(file, 'utf8'));
+    if (document === null || document === undefined) return {};
+    if (typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error(`${file} must contain a map of setting names to values`);
+    }
+    return document;
+}
+
+/**
+ * Freezes an object and everything reachable from it.
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+/**
+ * Loads, validates and freezes the configuration. Environment variables take
+ * precedence over `CONFIG_FILE`, which takes precedence over the defaults.
+ * Every problem is reported at once rather than falling back to a default.
+ *
+ * @param {Object} [env=process.env] - The environment.
+ * @returns {Object} The frozen configuration, keyed by setting name.
+ * @throws {Error} With code `ERR_INVALID_CONFIG` listing every invalid setting.
+ */
+function loadConfig(env = process.env) {
+    const problems = [];
+
+    let fileValues = {};
+    if (env.CONFIG_FILE) {
+        try {
+            fileValues = readConfigFile(env.CONFIG_FILE);
+        } catch (error) {
+            problems.push(`CONFIG_FILE: ${error.message}`);
+        }
+    }
+    const known = new Set(SCHEMA.map(setting => setting.name));
+    for (const name of Object.keys(fileValues)) {
+        if (!known.has(name)) problems.push(`${name} in ${env.CONFIG_FILE}: unknown setting`);
+    }
+
+    const config = { CONFIG_FILE: env.CONFIG_FILE };
+    const invalid = new Set();
+    for (const setting of SCHEMA) {
+        const fromEnv = env[setting.name];
+        const raw = fromEnv !== undefined && fromEnv !== '' ? fromEnv : fileValues[setting.name];
+        if (raw === undefined || raw === null || raw === '') {
+            config[setting.name] = setting.default;
+            continue;
+        }
+        try {
+            config[setting.name] = convert(setting, raw);
+        } catch (error) {
+            problems.push(`${setting.name}=${JSON.stringify(raw)}: ${error.message}`);
+            invalid.add(setting.name);
+        }
+    }
+
+    // A relation can only be judged between values that parsed.
+    CROSS_CHECKS.filter(({ settings }) => !settings.some(name => invalid.has(name)))
+        .forEach(({ check }) => {
+            const problem = check(config);
+            if (problem) problems.push(problem);
+        });
+
+    if (problems.length) {
+        const error = new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+        error.code = 'ERR_INVALID_CONFIG';
+        throw error;
+    }
+    return deepFreeze(config);
+}
+
+/**
+ * A copy of the configuration that is safe to print, with secrets replaced.
+ * @param {Object} config - The configuration.
+ * @returns {Object} The redacted copy.
+ */
+function redactConfig(config) {
+    // Unset settings print as null rather than disappearing from the JSON.
+    const redacted = Object.fromEntries(Object.entries(config).map(([name, value]) => [name, value ?? null]));
+    SCHEMA.filter(setting => setting.secret && redacted[setting.name] !== null)
+        .forEach(setting => { redacted[setting.name] = '[redacted]'; });
+    return redacted;
+}
+
+const config = loadConfig();
+
+export { loadConfig, redactConfig };
+export default config;
@@ -0,0 +1,130 @@
+// Bytes of a body looked at to recognize its format; enough for an SVG's XML prolog and comments.
+const SNIFF_BYTES = 4096;
+
+// Declared types that say nothing about the content, as sent for unconfigured extensions.
+const GENERIC_TYPES = [
+    'application/octet-stream', 'binary/octet-stream', 'application/binary', 'application/x-binary',
+    'application/unknown', 'application/x-unknown', 'unknown/unknown', 'application/force-download',
+    'application/download', 'text/plain',
+];
+
+// Nonstandard names origins use for the types the detector returns.
+const TYPE_ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/x-png': 'image/png',
+    'image/heif': 'image/heic',
+    'image/heic-sequence': 'image/heic',
+    'image/heif-sequence': 'image/heic',
+    'image/x-ms-bmp': 'image/bmp',
+    'image/x-bmp': 'image/bmp',
+    'image/vnd.microsoft.icon': 'image/x-icon',
+    'image/ico': 'image/x-icon',
+    'image/svg': 'image/svg+xml',
+};
+
+// ISO BMFF brands, from the `ftyp` box, of AVIF and of HEIF with HEVC.
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Size of the info header after a BMP's file header, for each DIB header version.
+const BMP_INFO_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// A syntactically valid MIME type: `type/subtype` made of HTTP token characters. Lists such
+// as `image/png, text/html`, whose last entry browsers may go by, don't match.
+const MIME_TYPE_PATTERN = /^[!#$%&'*+.^_`|~0-9a-z-]+\/[!#$%&'*+.^_`|~0-9a-z-]+$/;
+
+// An SVG document: optional BOM, XML declaration, comments and doctype before the root element.
+const SVG_PATTERN = /^\uFEFF?\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!doctype\s+svg[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<svg[\s>]/i;
+
+/**
+ * Lowercases a Content-Type and strips its parameters and alias.
+ * @param {string} contentType - A Content-Type header value.
+ * @returns {string} The bare MIME type, empty if there is none or it isn't a single valid type.
+ */
+function mimeType(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (!MIME_TYPE_PATTERN.test(type)) return '';
+    return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Checks whether a declared Content-Type is missing or too generic to route a body by.
+ * @param {string} contentType - The origin's Content-Type.
+ * @returns {boolean} True if the body has to be sniffed.
+ */
+function isGenericType(contentType) {
+    const type = mimeType(contentType);
+    return !type || GENERIC_TYPES.includes(type);
+}
+
+/**
+ * Reads the brands of an ISO BMFF `ftyp` box: the major brand and the compatible ones.
+ */
+function ftypBrands(buffer) {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('latin1', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+    return brands;
+}
+
+/**
+ * Recognizes an image format from the first bytes of a body.
+ * @param {Buffer} buffer - The body, or at least its first SNIFF_BYTES bytes.
+ * @returns {string|null} The image's MIME type, or null if it isn't a known image format.
+ */
+function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+    const hex = buffer.toString('hex', 0, 12);
+
+    if (hex.startsWith('ffd8ff')) return 'image/jpeg';
+    if (hex.startsWith('89504e470d0a1a0a')) return 'image/png';
+    if (/^GIF8[79]a/.test(buffer.toString('latin1', 0, 6))) return 'image/gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.length >= 16 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+        const brands = ftypBrands(buffer);
+        if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'image/avif';
+        if (brands.some(brand => HEIC_BRANDS.includes(brand))) return 'image/heic';
+        return null;
+    }
+    if (hex.startsWith('424d') && buffer.length >= 18 && BMP_INFO_HEADER_SIZES.includes(buffer.readUInt32LE(14))) {
+        return 'image/bmp';
+    }
+    if (hex.startsWith('49492a00') || hex.startsWith('4d4d002a')) return 'image/tiff';
+    if (hex.startsWith('00000100') && buffer.length >= 6 && buffer.readUInt16LE(4) > 0) return 'image/x-icon';
+    if (SVG_PATTERN.test(buffer.toString('utf8', 0, SNIFF_BYTES))) return 'image/svg+xml';
+    return null;
+}
+
+/**
+ * Decides which content type a body is handled as. The declared type stands unless it
+ * is missing or generic, or the bytes are a recognized image format of another type.
+ * Types other than images and the generic ones aren't looked into.
+ *
+ * @param {string} declared - The origin's Content-Type.
+ * @param {Buffer} buffer - The body, or at least its first SNIFF_BYTES bytes.
+ * @returns {{ type: string, decision: string, detected: string|null }} The type to use, the
+ *   detected image type, and how the type was chosen: "declared" when the declared type
+ *   stands, "detected" when it was missing or generic, "corrected" when the bytes
+ *   contradicted it, or "unknown" when neither says anything.
+ */
+function resolveContentType(declared, buffer) {
+    const generic = isGenericType(declared);
+    if (!generic && !mimeType(declared).startsWith('image/')) {
+        return { type: declared, decision: 'declared', detected: null };
+    }
+
+    const detected = detectImageType(buffer);
+    if (!detected) {
+        return mimeType(declared)
+            ? { type: declared, decision: 'declared', detected }
+            : { type: 'application/octet-stream', decision: 'unknown', detected };
+    }
+    if (generic) return { type: detected, decision: 'detected', detected };
+    if (mimeType(declared) !== detected) return { type: detected, decision: 'corrected', detected };
+    return { type: declared, decision: 'declared', detected };
+}
+
+export { SNIFF_BYTES, isGenericType, detectImageType, resolveContentType, mimeType };
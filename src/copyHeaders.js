@@ -1,3 +1,5 @@
+import config from './config.js';
+
 /**
  * Copies headers from a source object to a target object, excluding specified headers and optionally transforming values.
  * @param {Object} source - The source object containing headers (e.g., a request or response object).
@@ -61,7 +63,7 @@ function copyHeaders(source, target, additionalExcludedHeaders = [], transformFu
                 if (transformedValue === null) continue; // Skip if transformation returns null.
             } catch (error) {
                 console.warn({ message: `Error transforming header '${key}'`, error: error.message });
-                if (process.env.STRICT_TRANSFORM === 'true') {
+                if (config.STRICT_TRANSFORM) {
                     throw error; // Stop processing if strict mode is enabled.
                 }
                 continue;
@@ -0,0 +1,59 @@
+import zlib from 'zlib';
+import lzma from 'lzma-native';
+
+// Streaming decoders by content-coding name. zstd is only decoded where Node.js has a
+// streaming decoder (zlib.createZstdDecompress); without one, the whole body would have
+// to be decoded at once, past the MAX_BUFFER_SIZE check.
+const DECODERS = {
+    gzip: () => zlib.createGunzip(),
+    'x-gzip': () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    br: () => zlib.createBrotliDecompress(),
+    ...(zlib.createZstdDecompress && { zstd: () => zlib.createZstdDecompress() }),
+    lzma: () => lzma.createDecompressor(),
+    lzma2: () => lzma.createDecompressor(),
+    xz: () => lzma.createDecompressor(),
+};
+
+/**
+ * Creates the chain of streaming decoders for a Content-Encoding header.
+ * Codings are listed in the order they were applied, so they are undone in reverse.
+ * Unknown codings are logged and left in place, as the buffered decoder used to do.
+ * @param {string} contentEncoding - The origin's Content-Encoding header.
+ * @returns {Transform[]} Decoders to pipe the body through, in order; empty for identity.
+ */
+function createDecoders(contentEncoding) {
+    if (!contentEncoding) return [];
+
+    const codings = contentEncoding
+        .split(',')
+        .map(coding => coding.trim().toLowerCase())
+        .filter(coding => coding && coding !== 'identity')
+        .reverse();
+
+    const decoders = [];
+    for (const coding of codings) {
+        if (!DECODERS[coding]) {
+            console.warn(`Unknown content-encoding: ${coding}`);
+            return [];
+        }
+        decoders.push(DECODERS[coding]());
+    }
+    return decoders;
+}
+
+/**
+ * Drops the codings that can't be decoded from an Accept-Encoding value.
+ * @param {string} acceptEncoding - The Accept-Encoding header to send upstream.
+ * @returns {string} The header with only supported codings.
+ */
+function supportedEncodings(acceptEncoding) {
+    return acceptEncoding
+        .split(',')
+        .map(coding => coding.trim())
+        .filter(coding => DECODERS[coding.split(';')[0].toLowerCase()])
+        .join(', ');
+}
+
+export { supportedEncodings };
+export default createDecoders;
@@ -0,0 +1,84 @@
+import config from './config.js';
+import { recordEncodeQueue, observeQueueWait, secondsSince } from './stats.js';
+
+// sharp pipelines allowed to run at once, requests that may wait for one, and how long (ms) they may wait.
+const { ENCODE_CONCURRENCY, ENCODE_QUEUE_LIMIT, ENCODE_QUEUE_TIMEOUT } = config;
+
+let active = 0;
+// Requests waiting for a slot, oldest first: { grant, timer }
+const waiting = [];
+
+function report() {
+    recordEncodeQueue(active, waiting.length);
+}
+
+/**
+ * Creates the error for a request turned away by the queue.
+ * @param {string} code - `ERR_ENCODE_QUEUE_FULL` or `ERR_ENCODE_QUEUE_TIMEOUT`.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function overloadError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Creates the function that frees a slot, handing it straight to the oldest waiting request.
+ * Only its first call has an effect.
+ */
+function releaser() {
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        const next = waiting.shift();
+        if (next) {
+            next.grant();
+        } else {
+            active -= 1;
+        }
+        report();
+    };
+}
+
+/**
+ * Waits for one of the ENCODE_CONCURRENCY encode slots. Requests queue in arrival order,
+ * at most ENCODE_QUEUE_LIMIT of them and each for at most ENCODE_QUEUE_TIMEOUT ms.
+ * @returns {Promise<Function>} Resolves with the function that frees the slot.
+ * @throws {Error} With code `ERR_ENCODE_QUEUE_FULL` when the queue is full, or
+ *   `ERR_ENCODE_QUEUE_TIMEOUT` when no slot freed up in time.
+ */
+function acquireEncodeSlot() {
+    if (active < ENCODE_CONCURRENCY) {
+        active += 1;
+        report();
+        observeQueueWait(0);
+        return Promise.resolve(releaser());
+    }
+    if (waiting.length >= ENCODE_QUEUE_LIMIT) {
+        return Promise.reject(overloadError('ERR_ENCODE_QUEUE_FULL', `Encode queue full (${waiting.length} waiting)`));
+    }
+
+    const start = process.hrtime.bigint();
+    return new Promise((resolve, reject) => {
+        const entry = {
+            grant: () => {
+                clearTimeout(entry.timer);
+                observeQueueWait(secondsSince(start));
+                resolve(releaser());
+            },
+        };
+        entry.timer = setTimeout(() => {
+            waiting.splice(waiting.indexOf(entry), 1);
+            report();
+            observeQueueWait(secondsSince(start));
+            reject(overloadError('ERR_ENCODE_QUEUE_TIMEOUT', `No encode slot within ${ENCODE_QUEUE_TIMEOUT} ms`));
+        }, ENCODE_QUEUE_TIMEOUT);
+        waiting.push(entry);
+        report();
+    });
+}
+
+export default acquireEncodeSlot;
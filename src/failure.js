@@ -0,0 +1,114 @@
+import bypass from './bypass.js';
+import redirect from './redirect.js';
+import config from './config.js';
+import { recordOutcome } from './stats.js';
+
+// What to do for each failure class, with `default` covering the classes not listed.
+const { FAILURE_POLICY } = config;
+
+// Classes whose policy doesn't follow `default` unless FAILURE_POLICY names them: redirecting
+// an overloaded server's clients would only move the load, so they are told to come back,
+// and an image over the input limits would be just as dangerous to the browser.
+const CLASS_POLICIES = {
+    overloaded: 'error',
+    'image-limits': 'error',
+};
+
+// 1x1 transparent GIF, understood by every browser.
+const PLACEHOLDER_IMAGE = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Status codes for the "error" policy; origin 4xx statuses are passed on as they are.
+const ERROR_STATUS_CODES = {
+    timeout: 504,
+    dns: 502,
+    network: 502,
+    'origin-status': 502,
+    'too-large': 502,
+    'image-limits': 422,
+    encode: 500,
+    'circuit-open': 503,
+    overloaded: 503,
+    internal: 500,
+};
+
+// Headers copied from the origin that describe its body, not a placeholder or error page.
+const BODY_HEADERS = ['content-length', 'content-type', 'content-disposition', 'cache-control', 'expires', 'etag', 'last-modified'];
+
+const DNS_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NODATA', 'EAI_NONAME'];
+
+/**
+ * Sorts an error thrown while fetching or reading the origin into a failure class.
+ * @param {Error} error - The error.
+ * @returns {string} "timeout", "dns", "network", "too-large", "circuit-open" or "internal".
+ */
+function classifyError(error) {
+    const code = error?.code || '';
+    if (error?.name === 'TimeoutError' || code === 'ETIMEDOUT') return 'timeout';
+    if (DNS_ERROR_CODES.includes(code)) return 'dns';
+    if (code === 'ERR_BODY_TOO_LARGE') return 'too-large';
+    if (code === 'ERR_CIRCUIT_OPEN') return 'circuit-open';
+    if (error?.name === 'RequestError' || error?.name === 'ReadError' || /^E[A-Z]+$/.test(code) || code.startsWith('ERR_HTTP2')) {
+        return 'network';
+    }
+    return 'internal';
+}
+
+/**
+ * Answers a failed request according to the operator's FAILURE_POLICY for its class:
+ * - `redirect` sends the client to the original URL
+ * - `passthrough` sends the original bytes when they were already fetched, else redirects
+ * - `placeholder` sends a 1x1 transparent image
+ * - `error` answers with an error status
+ * The failure class is reported in the X-Proxy-Error header.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} failureClass - e.g. "timeout" or "encode"; see `classifyError`.
+ * @param {Object} [details]
+ * @param {Buffer} [details.body] - The original bytes, if they were read.
+ * @param {number} [details.status] - The origin's status, for "origin-status" failures.
+ * @param {number} [details.retryAfter] - Seconds for a Retry-After header on error responses.
+ */
+function handleFailure(req, res, failureClass, { body, status, retryAfter } = {}) {
+    if (res.headersSent) {
+        console.error({ message: 'Request failed after the response started', url: req.params?.url, failure: failureClass });
+        return;
+    }
+
+    let policy = FAILURE_POLICY[failureClass] || CLASS_POLICIES[failureClass] || FAILURE_POLICY.default || 'redirect';
+    if (policy === 'passthrough' && !Buffer.isBuffer(body)) {
+        policy = 'redirect';
+    }
+    console.error({ message: 'Request failed', url: req.params?.url, failure: failureClass, policy });
+    res.setHeader('X-Proxy-Error', failureClass);
+
+    if (policy === 'passthrough') {
+        req.params.bypassReason = failureClass;
+        bypass(req, res, body);
+        return;
+    }
+    if (policy === 'redirect') {
+        req.params.redirectReason = failureClass;
+        redirect(req, res);
+        return;
+    }
+
+    BODY_HEADERS.forEach(header => res.removeHeader(header));
+    res.setHeader('Cache-Control', 'no-store');
+    recordOutcome(policy, failureClass);
+
+    if (policy === 'placeholder') {
+        res.setHeader('Content-Type', 'image/gif');
+        res.status(200).send(PLACEHOLDER_IMAGE);
+        return;
+    }
+
+    const statusCode = failureClass === 'origin-status' && status >= 400 && status < 500
+        ? status
+        : ERROR_STATUS_CODES[failureClass] || 502;
+    if (retryAfter) res.setHeader('Retry-After', retryAfter);
+    res.status(statusCode).json({ error: 'Request failed.', reason: failureClass });
+}
+
+export { classifyError };
+export default handleFailure;
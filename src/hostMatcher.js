@@ -0,0 +1,18 @@
+/**
+ * Creates a matcher for a list of host names, as used by the allowlists.
+ * An entry matches that host exactly; `*.example.com` matches its subdomains but not
+ * `example.com` itself. Case is ignored.
+ * @param {string[]} entries - Host names and `*.domain` wildcards.
+ * @returns {Function} `(hostname) => boolean`, true if any entry matches.
+ */
+function hostMatcher(entries) {
+    const patterns = entries.map(entry => entry.toLowerCase());
+    return (hostname) => {
+        const host = hostname.toLowerCase();
+        return patterns.some(entry => (
+            entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry
+        ));
+    };
+}
+
+export default hostMatcher;
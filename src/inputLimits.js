@@ -0,0 +1,63 @@
+import config from './config.js';
+
+// Largest width or height, pixels per frame, and decoded size in bytes accepted from an image's header.
+const { INPUT_MAX_DIMENSION, INPUT_MAX_PIXELS, INPUT_MAX_DECODED_BYTES } = config;
+
+// "downscale" shrinks over-limit images while decoding where the format allows it; "refuse" never does.
+const { INPUT_OVER_LIMIT } = config;
+
+// Largest factor each format can shrink by while decoding: JPEG by its DCT scaling, WebP to any size.
+const SHRINK_ON_LOAD = { jpeg: 8, webp: Infinity };
+
+// Bytes per sample for libvips band formats other than 8-bit.
+const SAMPLE_BYTES = { ushort: 2, short: 2, uint: 4, int: 4, float: 4, double: 8, complex: 8, dpcomplex: 16 };
+
+/**
+ * Bytes needed to hold frames of the given size once decoded.
+ */
+function decodedBytes(width, height, frames, metadata) {
+    return width * height * frames * (metadata.channels || 4) * (SAMPLE_BYTES[metadata.depth] || 1);
+}
+
+/**
+ * Names the first limit a frame size breaks.
+ * @returns {string|null} "dimension", "pixels", "memory", or null within every limit.
+ */
+function brokenLimit(width, height, frames, metadata) {
+    if (Math.max(width, height) > INPUT_MAX_DIMENSION) return 'dimension';
+    if (width * height > INPUT_MAX_PIXELS) return 'pixels';
+    if (decodedBytes(width, height, frames, metadata) > INPUT_MAX_DECODED_BYTES) return 'memory';
+    return null;
+}
+
+/**
+ * Checks an image's header, as read by sharp's `metadata()` without decoding any pixels,
+ * against the input limits, so decompression bombs are caught before they are decoded.
+ *
+ * @param {Object} metadata - sharp metadata; for animations, read with `animated: true`.
+ * @param {number} frames - Frames that will be decoded: all of them, or 1 for a still.
+ * @returns {{ reason: string|null, shrink?: number }} The broken limit, if any, and when
+ *   INPUT_OVER_LIMIT is "downscale" and the format can shrink enough while decoding, the
+ *   factor to divide the frame size by (a power of two for JPEG).
+ */
+function checkInputLimits(metadata, frames) {
+    const width = metadata.width || 0;
+    const height = metadata.pageHeight || metadata.height || 0;
+    const reason = brokenLimit(width, height, frames, metadata);
+    if (!reason || INPUT_OVER_LIMIT !== 'downscale') return { reason };
+
+    const maxShrink = SHRINK_ON_LOAD[metadata.format];
+    if (!maxShrink || frames > 1) return { reason };
+
+    const needed = Math.max(
+        width / INPUT_MAX_DIMENSION,
+        height / INPUT_MAX_DIMENSION,
+        Math.sqrt(width * height / INPUT_MAX_PIXELS),
+        Math.sqrt(decodedBytes(width, height, frames, metadata) / INPUT_MAX_DECODED_BYTES),
+    );
+    const shrink = maxShrink === Infinity ? needed : 2 ** Math.ceil(Math.log2(needed));
+    if (shrink > maxShrink) return { reason };
+    return { reason, shrink };
+}
+
+export default checkInputLimits;
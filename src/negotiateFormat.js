@@ -0,0 +1,46 @@
+// Output formats the compressor can emit, in order of preference.
+const SUPPORTED_FORMATS = ['avif', 'webp', 'jpeg'];
+
+/**
+ * Parses an Accept header into a map of lowercase media type to q-value.
+ * @param {string} acceptHeader - The raw Accept header.
+ * @returns {Map<string, number>} Media types with their q-values.
+ */
+function parseAccept(acceptHeader) {
+    const accepted = new Map();
+    if (typeof acceptHeader !== 'string') return accepted;
+
+    for (const part of acceptHeader.split(',')) {
+        const [type, ...parameters] = part.trim().toLowerCase().split(';');
+        if (!type) continue;
+
+        let q = 1;
+        for (const parameter of parameters) {
+            const [key, value] = parameter.trim().split('=');
+            if (key === 'q') {
+                const parsed = parseFloat(value);
+                q = isNaN(parsed) ? 0 : parsed;
+            }
+        }
+        accepted.set(type, q);
+    }
+    return accepted;
+}
+
+/**
+ * Picks the best output format the client accepts: AVIF, then WebP, then JPEG.
+ * Wildcard entries are ignored for AVIF and WebP, since browsers send them
+ * without actually decoding every format; JPEG is always a safe fallback.
+ * @param {string} acceptHeader - The client's Accept header.
+ * @returns {string} One of `SUPPORTED_FORMATS`.
+ */
+function negotiateFormat(acceptHeader) {
+    const accepted = parseAccept(acceptHeader);
+    for (const format of SUPPORTED_FORMATS) {
+        if (accepted.get(`image/${format}`) > 0) return format;
+    }
+    return 'jpeg';
+}
+
+export { SUPPORTED_FORMATS };
+export default negotiateFormat;
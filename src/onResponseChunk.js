@@ -0,0 +1,26 @@
+/**
+ * Observes the body of a response as it is written, for metering and recording.
+ * `onChunk` gets each chunk passed to `write()` or `end()`, as a Buffer, before it goes out;
+ * `onEnd` is called once `end()` is, after its last chunk.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} onChunk - Called with each chunk of the body.
+ * @param {Function} [onEnd] - Called when the response ends.
+ */
+function onResponseChunk(res, onChunk, onEnd) {
+    const { write, end } = res;
+    const observe = (chunk, encoding) => {
+        if (!chunk || typeof chunk === 'function') return;
+        onChunk(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    };
+    res.write = function (chunk, encoding, ...rest) {
+        observe(chunk, encoding);
+        return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+        observe(chunk, encoding);
+        onEnd?.();
+        return end.call(this, chunk, encoding, ...rest);
+    };
+}
+
+export default onResponseChunk;
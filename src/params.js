@@ -1,9 +1,18 @@
 import validator from 'validator';
+import negotiateFormat, { SUPPORTED_FORMATS } from './negotiateFormat.js';
+import config from './config.js';
 
 // Constants for quality range and default settings
-const DEFAULT_QUALITY = parseInt(process.env.DEFAULT_QUALITY, 10) || 40;
-const MAX_QUALITY = parseInt(process.env.MAX_QUALITY, 10) || 100;
-const MIN_QUALITY = parseInt(process.env.MIN_QUALITY, 10) || 10;
+const { DEFAULT_QUALITY, MAX_QUALITY, MIN_QUALITY } = config;
+
+// Output format used when the client does not ask for one: avif, webp, jpeg or auto.
+const DEFAULT_FORMAT = parseFormat(config.DEFAULT_FORMAT, 'webp');
+
+// Resize bounds: WebP can't encode beyond 16383px, and device pixel ratios above 4 don't exist in practice.
+const MAX_DIMENSION = 16383;
+const MIN_DPR = 0.5;
+const MAX_DPR = 4;
+const FIT_MODES = ['inside', 'outside', 'cover', 'contain', 'fill'];
 
 /**
  * Middleware to parse and validate query parameters.
@@ -32,8 +41,14 @@ function params(req, res, next) {
         // Set validated and sanitized URL
         req.params.url = url;
 
-        // Determine output format: WebP by default, or JPEG if explicitly requested.
-        req.params.webp = !req.query.jpeg;
+        // Determine output format: the legacy "jpeg" flag wins, then the "format" parameter,
+        // then the operator default. "auto" picks the best format from the Accept header.
+        const format = req.query.jpeg ? 'jpeg' : parseFormat(req.query.format, DEFAULT_FORMAT);
+        req.params.autoFormat = format === 'auto';
+        req.params.format = req.params.autoFormat ? negotiateFormat(req.headers.accept) : format;
+
+        // WebP and AVIF both keep transparency; only JPEG output flattens it.
+        req.params.webp = req.params.format !== 'jpeg';
 
         // Set grayscale mode based on the "bw" parameter; default is true.
         req.params.grayscale = parseBoolean(req.query.bw, true);
@@ -41,6 +56,12 @@ function params(req, res, next) {
         // Parse and validate quality parameter; enforce bounds.
         req.params.quality = parseQuality(req.query.l, DEFAULT_QUALITY, MIN_QUALITY, MAX_QUALITY);
 
+        // Optional downscaling box in CSS pixels, multiplied by the device pixel ratio.
+        req.params.width = parseDimension(req.query.w);
+        req.params.height = parseDimension(req.query.h);
+        req.params.fit = FIT_MODES.includes(req.query.fit) ? req.query.fit : 'inside';
+        req.params.dpr = parseDpr(req.query.dpr);
+
         next();
     } catch (error) {
         console.error({ message: 'Error in params middleware', error: error.message });
@@ -75,6 +96,18 @@ function parseBoolean(value, defaultValue) {
     return defaultValue;
 }
 
+/**
+ * Parse the output format; accepts any supported format, "jpg" as an alias, or "auto".
+ */
+function parseFormat(value, defaultFormat) {
+    if (value === undefined || value === '') return defaultFormat;
+    const lowerValue = String(value).toLowerCase();
+    if (lowerValue === 'jpg') return 'jpeg';
+    if (lowerValue === 'auto' || SUPPORTED_FORMATS.includes(lowerValue)) return lowerValue;
+    console.warn(`Unsupported format "${value}"; using default (${defaultFormat}).`);
+    return defaultFormat;
+}
+
 /**
  * Parse and validate quality parameter; enforce bounds and defaults.
  */
@@ -91,4 +124,27 @@ function parseQuality(quality, defaultQuality, min, max) {
     return parsed;
 }
 
+/**
+ * Parse a width or height in pixels; invalid or missing values mean "no limit".
+ */
+function parseDimension(value) {
+    if (value === undefined) return undefined;
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed <= 0) {
+        console.warn(`Invalid dimension "${value}"; ignoring.`);
+        return undefined;
+    }
+    return Math.min(parsed, MAX_DIMENSION);
+}
+
+/**
+ * Parse the device pixel ratio; defaults to 1 and is clamped to [MIN_DPR, MAX_DPR].
+ */
+function parseDpr(value) {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed)) return 1;
+    return Math.min(Math.max(parsed, MIN_DPR), MAX_DPR);
+}
+
+export { MIN_QUALITY, MAX_QUALITY };
 export default params;
@@ -0,0 +1,73 @@
+import pkg from 'lodash';
+const { pick } = pkg;
+import hostMatcher from './hostMatcher.js';
+import config from './config.js';
+
+// Server-wide mode ("on" or "off"), whether clients may choose with `privacy=1|0`,
+// and the hosts that still get cookies in privacy mode (e.g. for hotlink protection).
+const { PRIVACY_MODE, PRIVACY_CLIENT_OVERRIDE, PRIVACY_COOKIE_ALLOWLIST } = config;
+
+/**
+ * Checks whether a host may receive the client's cookies in privacy mode.
+ * @param {string} hostname - The target host.
+ * @returns {boolean} True if allowlisted; `*.example.com` matches subdomains only.
+ */
+const keepsCookies = hostMatcher(PRIVACY_COOKIE_ALLOWLIST);
+
+/**
+ * Works out the privacy mode for a request: the client's `privacy` query parameter
+ * when PRIVACY_CLIENT_OVERRIDE allows it, else PRIVACY_MODE.
+ * @param {Object} req - The HTTP request object.
+ * @returns {string} "on" or "off".
+ */
+function privacyMode(req) {
+    const requested = req.query?.privacy;
+    if (PRIVACY_CLIENT_OVERRIDE && (requested === '1' || requested === '0')) {
+        return requested === '1' ? 'on' : 'off';
+    }
+    return PRIVACY_MODE;
+}
+
+/**
+ * The request headers that identify the client to the origin, as the privacy mode allows.
+ * With privacy off, the client's cookies, referer and IP (in X-Forwarded-For) are forwarded.
+ * With privacy on, cookies are dropped unless the host is allowlisted, the referer is
+ * rewritten to the target's own origin so hotlink checks still pass, and the IP is withheld.
+ * The mode in effect is reported in the X-Privacy-Mode response header.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Object} Headers to send upstream.
+ */
+function identityHeaders(req, res) {
+    const mode = privacyMode(req);
+    res.setHeader('X-Privacy-Mode', mode);
+
+    if (mode === 'off') {
+        return {
+            ...pick(req.headers, ['cookie', 'dnt', 'referer']),
+            'x-forwarded-for': req.headers['x-forwarded-for'] || req.ip,
+        };
+    }
+
+    const target = new URL(req.params.url);
+    return {
+        ...pick(req.headers, ['dnt']),
+        ...(keepsCookies(target.hostname) && pick(req.headers, ['cookie'])),
+        referer: `${target.origin}/`,
+    };
+}
+
+/**
+ * Checks whether `identityHeaders` forwards the client's cookies to the origin, so the
+ * response may be personal to this client.
+ * @param {Object} req - The HTTP request object, after the params middleware.
+ * @returns {boolean} True if the client's Cookie header goes upstream.
+ */
+function forwardsCookies(req) {
+    if (!req.headers.cookie) return false;
+    return privacyMode(req) === 'off' || keepsCookies(new URL(req.params.url).hostname);
+}
+
+export { forwardsCookies };
+export default identityHeaders;
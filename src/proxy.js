@@ -1,129 +1,406 @@
 import got from 'got';
 import http2wrapper from 'http2-wrapper';
-import pkg from 'lodash';
-const { pick } = pkg;
-import zlib from 'zlib';
-import { promisify } from 'util';
-import lzma from 'lzma-native';
-import { ZstdCodec } from 'zstd-codec';
+import { pipeline } from 'stream';
+import { setTimeout as sleep } from 'timers/promises';
 import shouldCompress from './shouldCompress.js';
 import redirect from './redirect.js';
+import handleFailure, { classifyError } from './failure.js';
 import compress from './compress.js';
 import bypass from './bypass.js';
 import copyHeaders from './copyHeaders.js';
+import createDecoders from './decoder.js';
+import ssrfGuard from './ssrf.js';
+import browserHeaders from './browserProfile.js';
+import identityHeaders from './privacy.js';
+import { challengeFromHeaders, challengeFromBody, mayBeChallengePage } from './challenge.js';
+import { acquire, release, recordSuccess, recordFailure } from './circuitBreaker.js';
+import { SNIFF_BYTES, isGenericType, detectImageType, resolveContentType, mimeType } from './contentType.js';
+import config from './config.js';
+import { readCache, refreshCache, revalidationHeaders, sendCached, cacheTtl, usesCache } from './cache.js';
+import { recordOutcome, recordTransfer, recordRetry, observeFetch, secondsSince } from './stats.js';
 
-// Cloudflare-specific status codes to handle
-const CLOUDFLARE_STATUS_CODES = [403, 503];
-
-// Promisified zlib functions for compatibility across Node.js versions
-const gunzip = promisify(zlib.gunzip);
-const inflate = promisify(zlib.inflate);
-const brotliDecompress = zlib.brotliDecompress ? promisify(zlib.brotliDecompress) : null;
-
-// Centralized decompression utility
-async function decompress(data, encoding) {
-    const decompressors = {
-        gzip: () => gunzip(data),
-        br: () => brotliDecompress ? brotliDecompress(data) : Promise.reject(new Error('Brotli not supported in this Node.js version')),
-        deflate: () => inflate(data),
-        lzma: () => promisify(lzmaNative.decompress)(data),
-        lzma2: () => promisify(lzmaNative.decompress)(data),
-        zstd: () => new Promise((resolve, reject) => {
-            ZstdCodec.run(zstd => {
-                try {
-                    const simple = new zstd.Simple();
-                    resolve(simple.decompress(data));
-                } catch (error) {
-                    reject(error);
-                }
-            });
-        }),
-    };
-    if (decompressors[encoding]) {
+// Statuses anti-bot services answer challenges with; otherwise they are relayed to the client as they are.
+const CHALLENGE_STATUS_CODES = [403, 503];
+
+// Largest decoded origin body read into memory for compression; larger bodies are streamed through untouched.
+const { MAX_BUFFER_SIZE } = config;
+
+// Per-attempt timeout, and how often and how far apart failed origin requests are retried.
+const { UPSTREAM_TIMEOUT, UPSTREAM_RETRIES, UPSTREAM_RETRY_DELAY, UPSTREAM_RETRY_MAX_DELAY } = config;
+
+// Failures where the origin never produced a response, so repeating the GET is safe.
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_HTTP2_STREAM_ERROR'];
+// Gateway errors from a CDN edge that often succeed on a second try.
+const RETRYABLE_STATUS_CODES = [502, 504];
+
+// Request headers the proxy replaces with its own values, so an origin's Vary on them
+// doesn't depend on the client. Accept is re-added when the output format is negotiated.
+const FIXED_REQUEST_HEADERS = ['accept', 'accept-encoding', 'accept-language', 'user-agent'];
+
+/**
+ * copyHeaders transform that drops request headers the client can't influence from Vary.
+ */
+function rewriteVary(key, value) {
+    if (key.toLowerCase() !== 'vary') return value;
+    const kept = String(value)
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name && !FIXED_REQUEST_HEADERS.includes(name.toLowerCase()));
+    return kept.length ? kept.join(', ') : null;
+}
+
+/**
+ * Starts the origin request and resolves once the response headers have arrived.
+ * @param {string} url - The origin URL.
+ * @param {Object} options - got options.
+ * @returns {Promise<{ stream: Object, response: Object }>} The body stream and the response.
+ */
+function openOrigin(url, options) {
+    return new Promise((resolve, reject) => {
+        const stream = got.stream(url, options);
+        stream.once('error', reject);
+        stream.once('response', response => {
+            stream.off('error', reject);
+            resolve({ stream, response });
+        });
+    });
+}
+
+/**
+ * Backoff before a retry: exponential in the attempt number, capped, with full jitter
+ * so clients retrying the same host don't do so in lockstep.
+ * @param {number} attempt - Zero-based number of the attempt that failed.
+ * @returns {number} Delay in ms.
+ */
+function retryDelay(attempt) {
+    return Math.random() * Math.min(UPSTREAM_RETRY_MAX_DELAY, UPSTREAM_RETRY_DELAY * 2 ** attempt);
+}
+
+/**
+ * Opens the origin response like `openOrigin`, retrying broken connections and 502/504
+ * answers with backoff, and reporting the outcome to the host's circuit breaker.
+ * Server errors count against the host except 503, which anti-bot services use for challenges.
+ * @param {string} url - The origin URL.
+ * @param {Object} options - got options.
+ * @returns {Promise<{ stream: Object, response: Object }>} The body stream and the response.
+ * @throws {Error} With code `ERR_CIRCUIT_OPEN` when the host's circuit is open.
+ */
+async function fetchOrigin(url, options) {
+    const { host } = new URL(url);
+    acquire(host);
+
+    for (let attempt = 0; ; attempt++) {
+        let reason;
         try {
-            return await decompressors[encoding]();
+            const result = await openOrigin(url, options);
+            const status = result.response.statusCode;
+            if (!RETRYABLE_STATUS_CODES.includes(status) || attempt >= UPSTREAM_RETRIES) {
+                if (status >= 500 && !CHALLENGE_STATUS_CODES.includes(status)) {
+                    recordFailure(host);
+                } else {
+                    recordSuccess(host);
+                }
+                return result;
+            }
+            result.stream.destroy();
+            reason = String(status);
         } catch (error) {
-            console.error(`Decompression failed for encoding ${encoding}:`, error);
-            return data; // Return original data if decompression fails
+            if (error.code === 'ERR_SSRF_BLOCKED') {
+                release(host);
+                throw error;
+            }
+            if (!RETRYABLE_ERROR_CODES.includes(error.code) || attempt >= UPSTREAM_RETRIES) {
+                recordFailure(host);
+                throw error;
+            }
+            reason = error.code;
         }
-    } else {
-        console.warn(`Unknown content-encoding: ${encoding}`);
-        return data;
+
+        const delay = retryDelay(attempt);
+        console.warn(`Retrying ${url} after ${reason} in ${Math.round(delay)} ms (attempt ${attempt + 2} of ${UPSTREAM_RETRIES + 1})`);
+        recordRetry(reason);
+        await sleep(delay);
     }
 }
 
+/**
+ * Pipes the origin body through the decoders for its Content-Encoding.
+ * Errors anywhere in the chain destroy every stream, including the origin request.
+ * @param {Object} stream - The raw origin body.
+ * @param {string} contentEncoding - The origin's Content-Encoding header.
+ * @returns {Object} The decoded body stream.
+ */
+function decodeBody(stream, contentEncoding) {
+    const decoders = createDecoders(contentEncoding);
+    if (!decoders.length) return stream;
+    return pipeline(stream, ...decoders, () => {});
+}
+
+/**
+ * Reads a stream into memory, aborting it as soon as it grows past `limit` bytes.
+ * @param {Object} stream - The decoded body stream.
+ * @param {number} limit - Maximum number of bytes to read.
+ * @returns {Promise<Buffer>} The body.
+ */
+function readBody(stream, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                const error = new Error(`Origin body exceeds ${limit} bytes`);
+                error.code = 'ERR_BODY_TOO_LARGE';
+                stream.destroy(error);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.once('end', () => resolve(Buffer.concat(chunks, size)));
+        stream.once('error', reject);
+        // A stream paused by peekBody doesn't resume by itself.
+        stream.resume();
+    });
+}
+
+/**
+ * Reads the first bytes of a stream and puts them back, so it can be read from the start.
+ * @param {Object} stream - The decoded body stream.
+ * @param {number} size - Bytes wanted.
+ * @returns {Promise<{ head: Buffer, complete: boolean }>} At least `size` bytes, or the
+ *   whole body when it is shorter; then `complete` is set and the stream has ended.
+ */
+function peekBody(stream, size) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        const finish = (complete) => {
+            stream.off('data', onData);
+            stream.off('end', onEnd);
+            stream.off('error', reject);
+            const head = Buffer.concat(chunks, length);
+            if (!complete) {
+                stream.pause();
+                stream.unshift(head);
+            }
+            resolve({ head, complete });
+        };
+        const onData = (chunk) => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= size) finish(false);
+        };
+        const onEnd = () => finish(true);
+        stream.on('data', onData);
+        stream.once('end', onEnd);
+        stream.once('error', reject);
+    });
+}
+
+/**
+ * Decides whether a body must be read into memory: images, declared or recognized by
+ * sniffing, unless the origin already declared them too large.
+ * @param {Object} headers - The origin response headers.
+ * @param {boolean} sniffedImage - Whether the first bytes of a generically typed body are an image.
+ * @returns {boolean} True to buffer, false to stream straight to the client.
+ */
+function shouldBuffer(headers, sniffedImage) {
+    if (!sniffedImage && !headers['content-type']?.startsWith('image')) return false;
+    const declaredLength = parseInt(headers['content-length'], 10);
+    return !(declaredLength > MAX_BUFFER_SIZE);
+}
+
+/**
+ * Resolves the type a body is handled as from its declared type and its bytes, and
+ * reports the decision in X-Content-Type-Detection, e.g.
+ * `corrected; declared=image/jpeg; detected=image/webp`.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} declaredType - The origin's Content-Type.
+ * @param {Buffer} data - The body, or at least its first SNIFF_BYTES bytes.
+ * @returns {string} The content type to use.
+ */
+function detectContentType(res, declaredType, data) {
+    const { type, decision, detected } = resolveContentType(declaredType, data);
+    res.setHeader('X-Content-Type-Detection',
+        `${decision}; declared=${mimeType(declaredType) || 'none'}; detected=${detected || 'none'}`);
+    if (decision === 'corrected') {
+        console.log(`Origin declared ${declaredType} for ${detected} content; handling it as ${detected}`);
+    }
+    return type;
+}
+
+/**
+ * Sends a cache entry and records it; the savings are those of the original compression,
+ * none for an original cached because compressing it saved nothing.
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {{ body: Buffer, meta: Object }} entry - The cache entry.
+ * @param {string} [status] - The X-Cache value.
+ */
+function serveCached(req, res, entry, status) {
+    sendCached(res, entry, status);
+    const headers = entry.meta.headers || {};
+    const original = headers['x-bypass-reason'] === 'no-savings';
+    recordOutcome('cache', status ? status.toLowerCase() : 'hit');
+    recordTransfer({
+        url: req.params.url,
+        format: original ? 'original' : String(headers['content-type'] || '').replace('image/', '') || 'unknown',
+        bytesIn: original ? entry.body.length : parseInt(headers['x-original-size'], 10),
+        bytesOut: entry.body.length,
+    });
+}
+
 // Proxy function to handle requests using got with HTTP/2 support
 async function proxy(req, res) {
-    const config = {
+    const options = {
         headers: {
-            ...pick(req.headers, ['cookie', 'dnt', 'referer']),
-            'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:91.0) Gecko/20100101 Firefox/91.0',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'Accept-Encoding': 'gzip, deflate, br',
-            'Upgrade-Insecure-Requests': '1',
+            ...identityHeaders(req, res),
+            ...browserHeaders,
+            // Byte ranges, requested by media players, are forwarded so the origin can answer 206.
+            // A range of an encoded body can't be decoded on its own, so identity is asked for.
+            ...(req.headers.range && {
+                range: req.headers.range,
+                ...(req.headers['if-range'] && { 'if-range': req.headers['if-range'] }),
+                'accept-encoding': 'identity',
+            }),
             'Cache-Control': 'no-cache, no-store, must-revalidate',
             'Pragma': 'no-cache',
-            'x-forwarded-for': req.headers['x-forwarded-for'] || req.ip,
             //via: '2.0 bandwidth-hero',
         },
-        timeout: { request: 10000 },
+        timeout: { request: UPSTREAM_TIMEOUT },
+        retry: { limit: 0 }, // retries are handled by fetchOrigin
         maxRedirects: 5,
-        responseType: 'buffer',
+        throwHttpErrors: false, // origin error statuses are handled below
         method: 'GET',
         decompress: false, // handle decompression manually
         http2: true,  // Enable HTTP/2
-        request: http2wrapper.auto
+        request: http2wrapper.auto,
+        ...ssrfGuard, // resolve, pin and check every hop against private ranges
     };
 
     try {
-        const gotResponse = await got(req.params.url, config);
-        const originResponse = {
-            data: gotResponse.rawBody,
-            headers: gotResponse.headers,
-            status: gotResponse.statusCode,
-        };
-        
-        if (!originResponse) {
-            console.error("Origin response is empty");
-            redirect(req, res);
+        const cached = await readCache(req);
+        if (cached?.fresh) {
+            serveCached(req, res, cached);
+            return;
+        }
+        if (usesCache(req)) {
+            res.setHeader('X-Cache', 'MISS');
+        }
+        if (cached) {
+            // Ask the origin whether the stale entry's source image has changed.
+            Object.assign(options.headers, revalidationHeaders(cached));
+        }
+
+        const fetchStart = process.hrtime.bigint();
+        const { stream, response } = await fetchOrigin(req.params.url, options);
+        observeFetch(secondsSince(fetchStart));
+        const { headers, statusCode: status } = response;
+        // Also tells coalesce whether the response may be shared: not when it is private or no-store.
+        req.params.cacheTtl = cacheTtl(headers);
+        if (cached && status === 304) {
+            stream.destroy();
+            await refreshCache(req, cached, headers);
+            serveCached(req, res, cached, 'REVALIDATED');
             return;
         }
 
-        const { headers, data, status } = originResponse;
+        if (CHALLENGE_STATUS_CODES.includes(status)) {
+            const body = decodeBody(stream, headers['content-encoding']);
+            let vendor = challengeFromHeaders(headers);
+            // Challenge pages are small; the whole page is read so it can be relayed if it isn't one.
+            const page = !vendor && mayBeChallengePage(headers) ? await readBody(body, MAX_BUFFER_SIZE) : null;
+            vendor = vendor || (page && challengeFromBody(page));
 
-        // Check for Cloudflare-related status codes before decompression
-        if (CLOUDFLARE_STATUS_CODES.includes(status)) {
-            console.log(`Bypassing due to Cloudflare status: ${status}`);
-            bypass(req, res, data);
+            if (vendor) {
+                // The browser can solve the challenge itself when it loads the image directly.
+                body.destroy();
+                console.log(`Anti-bot challenge (${vendor}) from ${req.params.url}; redirecting`);
+                res.setHeader('X-Proxy-Error', 'challenge');
+                req.params.redirectReason = 'challenge';
+                redirect(req, res);
+                return;
+            }
+
+            console.log(`Relaying origin status ${status}`);
+            res.status(status);
+            res.setHeader('content-encoding', 'identity');
+            req.params.originType = headers['content-type'];
+            req.params.bypassReason = 'origin-status';
+            bypass(req, res, page || body);
+            return;
+        }
+
+        if (status === 416) {
+            stream.destroy();
+            if (headers['content-range']) res.setHeader('Content-Range', headers['content-range']);
+            res.status(416).end();
+            return;
+        }
+
+        if (status >= 400) {
+            stream.destroy();
+            console.error(`Origin responded with status ${status}`);
+            handleFailure(req, res, 'origin-status', { status });
             return;
         }
 
-        const contentEncoding = headers['content-encoding'];
-        const decompressedData = contentEncoding ? await decompress(data, contentEncoding) : data;
+        copyHeaders({ headers }, res, [], rewriteVary);
+
+        if (status === 206) {
+            // A byte range of the original can only be relayed as it is, with the origin's
+            // Content-Range and, should it have encoded the range anyway, Content-Encoding.
+            res.status(206);
+            const declaredLength = parseInt(headers['content-length'], 10);
+            req.params.originType = headers['content-type'];
+            req.params.originSize = isNaN(declaredLength) ? undefined : declaredLength;
+            req.params.bypassReason = 'range';
+            bypass(req, res, stream);
+            return;
+        }
 
-        copyHeaders(originResponse, res);
         res.setHeader('content-encoding', 'identity');
-        
-        const contentType = headers['content-type'] || detectContentTypeFromBuffer(decompressedData);
-        req.params.originType = contentType;
-        req.params.originSize = decompressedData.length;
-        
-        if (shouldCompress(req, decompressedData)) {
-            compress(req, res, decompressedData);
+        if (req.params.autoFormat) {
+            // The output format was negotiated from the Accept header.
+            res.vary('Accept');
+        }
+
+        const body = decodeBody(stream, headers['content-encoding']);
+        const declaredType = headers['content-type'];
+        // A body without a meaningful type is routed by what its first bytes are.
+        const peeked = isGenericType(declaredType) ? await peekBody(body, SNIFF_BYTES) : null;
+        const sniffedImage = Boolean(peeked && detectImageType(peeked.head));
+
+        if (!shouldBuffer(headers, sniffedImage)) {
+            req.params.originType = peeked ? detectContentType(res, declaredType, peeked.head) : declaredType;
+            // Only an unencoded body's length is known before it has been read.
+            const declaredLength = parseInt(headers['content-length'], 10);
+            req.params.originSize = (headers['content-encoding'] || isNaN(declaredLength)) ? undefined : declaredLength;
+            req.params.bypassReason = sniffedImage || declaredType?.startsWith('image') ? 'too-large' : 'non-image';
+            bypass(req, res, peeked?.complete ? peeked.head : body);
+            return;
+        }
+
+        const data = peeked?.complete ? peeked.head : await readBody(body, MAX_BUFFER_SIZE);
+        req.params.originType = detectContentType(res, declaredType, data);
+        req.params.originSize = data.length;
+        req.params.originValidators = { etag: headers.etag, lastModified: headers['last-modified'] };
+
+        if (shouldCompress(req, data)) {
+            await compress(req, res, data);
         } else {
-            bypass(req, res, decompressedData);
+            bypass(req, res, data);
         }
     } catch (error) {
         console.error(`Request handling failed: ${error.message}`);
-        redirect(req, res);
+        if (error.code === 'ERR_SSRF_BLOCKED') {
+            if (!res.headersSent) {
+                res.status(403).json({ error: 'Forbidden target address.' });
+            }
+            return;
+        }
+        handleFailure(req, res, classifyError(error));
     }
 }
 
-function detectContentTypeFromBuffer(buffer) {
-    if (buffer.slice(0, 4).toString('hex') === '89504e47') return 'image/png';
-    if (buffer.slice(0, 3).toString('hex') === 'ffd8ff') return 'image/jpeg';
-    return 'application/octet-stream'; // Default fallback
-}
-
 export default proxy;
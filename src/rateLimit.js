@@ -0,0 +1,204 @@
+import createMemoryStore from './rateLimit/memoryStore.js';
+import onResponseChunk from './onResponseChunk.js';
+import config from './config.js';
+
+// Token bucket per client: up to RATE_LIMIT_BURST requests at once, refilled at RATE_LIMIT_PER_SECOND.
+// Set RATE_LIMIT_PER_SECOND=0 to turn request limiting off.
+const { RATE_LIMIT_BURST, RATE_LIMIT_PER_SECOND } = config;
+
+// Failed logins per IP: up to AUTH_FAILURE_BURST at once, refilled at AUTH_FAILURE_PER_SECOND.
+// Set AUTH_FAILURE_PER_SECOND=0 to turn login throttling off.
+const { AUTH_FAILURE_BURST, AUTH_FAILURE_PER_SECOND } = config;
+
+// Bytes each client may receive per UTC day and calendar month; 0 means unlimited.
+const { QUOTA_DAILY_BYTES, QUOTA_MONTHLY_BYTES } = config;
+
+let store = createMemoryStore();
+
+/**
+ * Replaces the counter store, e.g. with one shared between instances.
+ * @param {Object} nextStore - An object with the memory store's interface.
+ */
+function setRateLimitStore(nextStore) {
+    store = nextStore;
+}
+
+/**
+ * Identifies whose counters a request uses: the authenticated user, else the client IP.
+ * @param {Object} req - The HTTP request object.
+ * @returns {string} The counter key.
+ */
+function clientKey(req) {
+    return req.user ? `user:${req.user.name}` : `ip:${req.ip}`;
+}
+
+/**
+ * The current quota periods with their limits and reset times, in UTC.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Array<{ name: string, period: string, limit: number, resetsAt: Date }>} Daily and monthly periods.
+ */
+function quotaPeriods(now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+    return [
+        {
+            name: 'daily',
+            period: `day:${now.toISOString().slice(0, 10)}`,
+            limit: QUOTA_DAILY_BYTES,
+            resetsAt: new Date(Date.UTC(year, month, day + 1)),
+        },
+        {
+            name: 'monthly',
+            period: `month:${now.toISOString().slice(0, 7)}`,
+            limit: QUOTA_MONTHLY_BYTES,
+            resetsAt: new Date(Date.UTC(year, month + 1, 1)),
+        },
+    ];
+}
+
+/**
+ * Takes a token from the caller's bucket for one request. A failing counter store
+ * shouldn't take the proxy down with it, so its errors let the request through.
+ * @param {Object} req - The HTTP request object, after `authenticate`.
+ * @returns {Promise<{ allowed: boolean, remaining?: number, retryAfter?: number }>} The outcome;
+ *   always allowed when request limiting is off.
+ */
+async function takeToken(req) {
+    if (!(RATE_LIMIT_PER_SECOND > 0)) return { allowed: true };
+    const key = clientKey(req);
+    try {
+        return await store.take(key, {
+            capacity: RATE_LIMIT_BURST,
+            refillPerSecond: RATE_LIMIT_PER_SECOND,
+        });
+    } catch (error) {
+        console.error({ message: 'Rate limit check failed; allowing request', key, error: error.message });
+        return { allowed: true };
+    }
+}
+
+/**
+ * Answers 429 with a Retry-After header.
+ */
+function tooManyRequests(res, retryAfter, error) {
+    res.setHeader('Retry-After', Math.max(Math.ceil(retryAfter), 1));
+    return res.status(429).json({ error });
+}
+
+/**
+ * Counts the bytes of a response body as it is written, adding them to the quota once it finishes.
+ * @param {string} key - The counter key.
+ * @param {Object} res - The HTTP response object.
+ */
+function meterResponse(key, res) {
+    let bytes = 0;
+    onResponseChunk(res, (data) => {
+        bytes += data.length;
+    });
+
+    res.once('finish', () => {
+        if (!bytes) return;
+        for (const { period, resetsAt } of quotaPeriods()) {
+            store.addUsage(key, period, bytes, resetsAt.getTime()).catch(error => {
+                console.error({ message: 'Failed to record quota usage', key, error: error.message });
+            });
+        }
+    });
+}
+
+/**
+ * Middleware that throttles each user (or IP, for anonymous requests) with a token
+ * bucket and enforces daily and monthly byte quotas. Runs after `authenticate`.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - The next middleware function.
+ */
+async function rateLimit(req, res, next) {
+    const key = clientKey(req);
+    try {
+        const { allowed, remaining, retryAfter } = await takeToken(req);
+        if (remaining !== undefined) {
+            res.setHeader('X-RateLimit-Limit', RATE_LIMIT_BURST);
+            res.setHeader('X-RateLimit-Remaining', remaining);
+        }
+        if (!allowed) {
+            console.warn(`Rate limit exceeded: ${key}`);
+            return tooManyRequests(res, retryAfter, 'Too many requests.');
+        }
+
+        for (const { name, period, limit, resetsAt } of quotaPeriods()) {
+            if (!limit) continue;
+            if (await store.getUsage(key, period) >= limit) {
+                console.warn(`${name} quota exhausted: ${key}`);
+                return tooManyRequests(res, (resetsAt - Date.now()) / 1000, `The ${name} bandwidth quota is exhausted.`);
+            }
+        }
+    } catch (error) {
+        // A failing counter store shouldn't take the proxy down with it.
+        console.error({ message: 'Rate limit check failed; allowing request', key, error: error.message });
+    }
+
+    if (QUOTA_DAILY_BYTES || QUOTA_MONTHLY_BYTES) {
+        meterResponse(key, res);
+    }
+    next();
+}
+
+/**
+ * Middleware that throttles failed logins per IP. Mount it ahead of `authenticate`: every
+ * 401 takes a token from the IP's login bucket, and an IP without tokens is answered 429
+ * before its credentials are checked, so guessing passwords can't run bcrypt without limit.
+ * Successful logins cost nothing.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - The next middleware function.
+ */
+async function limitFailedLogins(req, res, next) {
+    if (!(AUTH_FAILURE_PER_SECOND > 0)) return next();
+    const key = `login:${req.ip}`;
+    const bucket = { capacity: AUTH_FAILURE_BURST, refillPerSecond: AUTH_FAILURE_PER_SECOND };
+    try {
+        const { allowed, retryAfter } = await store.take(key, { ...bucket, cost: 0 });
+        if (!allowed) {
+            console.warn(`Too many failed logins: ${key}`);
+            return tooManyRequests(res, retryAfter, 'Too many failed login attempts.');
+        }
+    } catch (error) {
+        console.error({ message: 'Login throttle check failed; allowing request', key, error: error.message });
+    }
+
+    res.once('finish', () => {
+        if (res.statusCode !== 401) return;
+        store.take(key, bucket).catch(error => {
+            console.error({ message: 'Failed to record failed login', key, error: error.message });
+        });
+    });
+    next();
+}
+
+/**
+ * Route handler reporting the caller's quota usage. Mount it behind `authenticate`.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ */
+async function quotaStatus(req, res) {
+    const key = clientKey(req);
+    try {
+        const quotas = {};
+        for (const { name, period, limit, resetsAt } of quotaPeriods()) {
+            const used = await store.getUsage(key, period);
+            quotas[name] = { used, limit: limit || null, remaining: limit ? Math.max(limit - used, 0) : null, resetsAt };
+        }
+        res.json({ client: key, quotas });
+    } catch (error) {
+        console.error({ message: 'Failed to read quota usage', key, error: error.message });
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+}
+
+export { limitFailedLogins, quotaStatus, setRateLimitStore, takeToken };
+export default rateLimit;
@@ -0,0 +1,73 @@
+/**
+ * In-memory store for rate-limit counters.
+ *
+ * Every store exposes the same promise-based interface, so counters can live in a
+ * shared backend when several instances serve the same users:
+ * - `take(key, { capacity, refillPerSecond, cost })` removes `cost` tokens (default 1) from the
+ *   key's bucket if it has at least one, and resolves to `{ allowed, remaining, retryAfter }`
+ *   (`retryAfter` in seconds when refused); a cost of 0 only checks the bucket
+ * - `addUsage(key, period, bytes, expiresAt)` adds bytes to the key's counter for a period,
+ *   which can be forgotten after `expiresAt` (ms since the epoch)
+ * - `getUsage(key, period)` resolves to the bytes counted for that period
+ *
+ * @param {Object} [options]
+ * @param {number} [options.sweepInterval=60000] - How often, in ms, idle buckets and past periods are dropped.
+ * @returns {{ take: Function, addUsage: Function, getUsage: Function }} The store.
+ */
+function createMemoryStore({ sweepInterval = 60000 } = {}) {
+    // key -> { tokens, updatedAt, capacity, refillPerSecond }
+    const buckets = new Map();
+    // `${key}|${period}` -> { bytes, expiresAt }
+    const usage = new Map();
+
+    function refill(bucket, now) {
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerSecond);
+        bucket.updatedAt = now;
+    }
+
+    async function take(key, { capacity, refillPerSecond, cost = 1 }) {
+        const now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: capacity, updatedAt: now };
+            buckets.set(key, bucket);
+        }
+        Object.assign(bucket, { capacity, refillPerSecond });
+        refill(bucket, now);
+
+        if (bucket.tokens < 1) {
+            return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerSecond) };
+        }
+        bucket.tokens -= cost;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    async function addUsage(key, period, bytes, expiresAt) {
+        const id = `${key}|${period}`;
+        const entry = usage.get(id) || { bytes: 0, expiresAt };
+        entry.bytes += bytes;
+        usage.set(id, entry);
+    }
+
+    async function getUsage(key, period) {
+        return usage.get(`${key}|${period}`)?.bytes || 0;
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            refill(bucket, now);
+            if (bucket.tokens >= bucket.capacity) buckets.delete(key);
+        }
+        for (const [id, entry] of usage) {
+            if (entry.expiresAt <= now) usage.delete(id);
+        }
+    }
+
+    setInterval(sweep, sweepInterval).unref();
+
+    return { take, addUsage, getUsage };
+}
+
+export default createMemoryStore;
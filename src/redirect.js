@@ -1,8 +1,9 @@
 import { URL } from 'url';
 import { STATUS_CODES } from 'http'; // For meaningful status code validation.
+import { recordOutcome } from './stats.js';
 
 const ALLOWED_PROTOCOLS = ['http:', 'https:'];
-const RESTRICTED_HEADERS = ['content-length', 'cache-control', 'expires', 'date', 'etag'];
+const RESTRICTED_HEADERS = ['content-length', 'content-type', 'cache-control', 'expires', 'date', 'etag'];
 
 /**
  * Validates if the provided URL string is valid and uses allowed protocols.
@@ -48,6 +49,7 @@ function isValidRedirectStatusCode(statusCode) {
 
 /**
  * Handles the redirect logic for the response object.
+ * Statistics record `req.params.redirectReason`, defaulting to "error".
  * @param {Request} req - Express request object.
  * @param {Response} res - Express response object.
  * @param {number} statusCode - The HTTP status code for the redirect.
@@ -86,6 +88,7 @@ function redirect(req, res, statusCode = 302, includeHtmlFallback = true) {
         res.setHeader('Location', encodedUrl);
 
         console.log({ message: 'Redirecting', url: encodedUrl, statusCode });
+        recordOutcome('redirect', req.params.redirectReason || 'error');
 
         // Send the appropriate response
         if (includeHtmlFallback && statusCode === 302) {
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import negotiateFormat, { SUPPORTED_FORMATS } from './negotiateFormat.js';
+import { MIN_QUALITY, MAX_QUALITY } from './params.js';
+import config from './config.js';
+
+// Per-domain rules file (YAML or JSON), re-read whenever it changes on disk.
+const { RULES_FILE, RULES_RELOAD_INTERVAL } = config;
+
+const ACTIONS = ['compress', 'bypass', 'block'];
+
+// Query parameters that carry each rule setting, to tell whether the client chose a value.
+const QUERY_PARAMETERS = {
+    quality: ['l'],
+    grayscale: ['bw'],
+    format: ['format', 'jpeg'],
+};
+
+let rules = [];
+
+/**
+ * Converts a host pattern into a regular expression. `*` matches any run of
+ * characters, so `*.example.com` matches every subdomain but not `example.com` itself.
+ * @param {string} pattern - A host name or glob.
+ * @returns {RegExp} The compiled pattern.
+ */
+function compileHostPattern(pattern) {
+    const escaped = pattern.trim().toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Validates a rule's settings, dropping and logging anything unusable.
+ * @param {Object} settings - A rule's `defaults` or `override` block.
+ * @param {string} where - Description for log messages.
+ * @returns {Object} The valid settings.
+ */
+function validateSettings(settings = {}, where) {
+    const valid = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (key === 'quality' && Number.isInteger(value)) {
+            valid.quality = Math.min(Math.max(value, MIN_QUALITY), MAX_QUALITY);
+        } else if ((key === 'grayscale' || key === 'compress') && typeof value === 'boolean') {
+            valid[key] = value;
+        } else if (key === 'format' && (value === 'auto' || SUPPORTED_FORMATS.includes(value))) {
+            valid.format = value;
+        } else {
+            console.warn(`Ignoring invalid rule setting ${where}: ${key}=${JSON.stringify(value)}`);
+        }
+    }
+    return valid;
+}
+
+/**
+ * Parses the rules document into compiled rules.
+ * @param {Object} document - The parsed file: `{ rules: [...] }`.
+ * @returns {Object[]} Compiled rules, in file order.
+ */
+function compileRules(document) {
+    if (!document || !Array.isArray(document.rules)) {
+        throw new Error('expected a top-level "rules" list');
+    }
+    return document.rules.map((rule, index) => {
+        const patterns = [].concat(rule.match || []);
+        if (!patterns.length || !patterns.every(pattern => typeof pattern === 'string')) {
+            throw new Error(`rule ${index + 1} needs a "match" host name or list of host names`);
+        }
+        if (rule.action !== undefined && !ACTIONS.includes(rule.action)) {
+            throw new Error(`rule ${index + 1} has unknown action "${rule.action}"`);
+        }
+        return {
+            patterns: patterns.map(compileHostPattern),
+            action: rule.action || 'compress',
+            defaults: validateSettings(rule.defaults, `in rule ${index + 1} defaults`),
+            override: validateSettings(rule.override, `in rule ${index + 1} override`),
+        };
+    });
+}
+
+/**
+ * (Re)loads the rules file; on error the previously loaded rules stay in effect.
+ */
+function loadRules() {
+    try {
+        rules = compileRules(YAML.parse(fs.readFileSync(RULES_FILE, 'utf8')));
+        console.log(`Loaded ${rules.length} rule(s) from ${RULES_FILE}`);
+    } catch (error) {
+        console.error({ message: 'Failed to load rules file; keeping previous rules', file: RULES_FILE, error: error.message });
+    }
+}
+
+if (RULES_FILE) {
+    loadRules();
+    fs.watchFile(RULES_FILE, { interval: RULES_RELOAD_INTERVAL, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) loadRules();
+    });
+}
+
+/**
+ * Finds the first rule whose patterns match a host name.
+ * @param {string} hostname - The target host.
+ * @returns {Object|undefined} The matching rule.
+ */
+function findRule(hostname) {
+    const host = hostname.toLowerCase();
+    return rules.find(rule => rule.patterns.some(pattern => pattern.test(host)));
+}
+
+/**
+ * Checks whether the client passed a query parameter for a setting.
+ */
+function clientChose(req, key) {
+    return (QUERY_PARAMETERS[key] || []).some(name => req.query[name] !== undefined);
+}
+
+/**
+ * Applies one setting to `req.params`, keeping derived values in step.
+ */
+function applySetting(req, key, value) {
+    if (key === 'format') {
+        req.params.autoFormat = value === 'auto';
+        req.params.format = req.params.autoFormat ? negotiateFormat(req.headers.accept) : value;
+        req.params.webp = req.params.format !== 'jpeg';
+    } else if (key === 'compress') {
+        req.params.forceCompress = value;
+    } else {
+        req.params[key] = value;
+    }
+}
+
+/**
+ * Middleware that applies the first matching per-domain rule between `params` and `proxy`.
+ *
+ * Precedence, highest first: the rule's `override` settings, then values the client
+ * passed in the query string, then the rule's `defaults`, then the server defaults.
+ * A `block` action refuses the request with 403; `bypass` forwards the original
+ * content untouched, like `override: { compress: false }`.
+ */
+function applyRules(req, res, next) {
+    const rule = rules.length ? findRule(new URL(req.params.url).hostname) : undefined;
+    if (!rule) return next();
+
+    if (rule.action === 'block') {
+        console.warn(`Blocked by rule: ${req.params.url}`);
+        return res.status(403).json({ error: 'This host is blocked by the proxy operator.' });
+    }
+
+    for (const [key, value] of Object.entries(rule.defaults)) {
+        if (!clientChose(req, key)) applySetting(req, key, value);
+    }
+    for (const [key, value] of Object.entries(rule.override)) {
+        applySetting(req, key, value);
+    }
+    if (rule.action === 'bypass') {
+        applySetting(req, 'compress', false);
+    }
+
+    next();
+}
+
+export default applyRules;
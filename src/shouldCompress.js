@@ -1,14 +1,16 @@
 import isAnimated from 'is-animated';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { mimeType } from './contentType.js';
+import config from './config.js';
 
 // Configuration: Compression size thresholds
-const DEFAULT_MIN_COMPRESS_LENGTH = 512;
-const MIN_COMPRESS_LENGTH = parseInt(process.env.MIN_COMPRESS_LENGTH, 10) || DEFAULT_MIN_COMPRESS_LENGTH;
+const { MIN_COMPRESS_LENGTH } = config;
 const MIN_TRANSPARENT_COMPRESS_LENGTH = MIN_COMPRESS_LENGTH * 50; // ~100KB for PNG/GIFs
 const APNG_THRESHOLD_LENGTH = MIN_COMPRESS_LENGTH * 100; // ~200KB for animated PNGs;
 
+// Image formats sharp's prebuilt libvips can't decode: BMP and ICO have no loader, and
+// its libheif decodes AV1 (AVIF) but not HEVC.
+const UNSUPPORTED_TYPES = ['image/bmp', 'image/x-icon', 'image/heic'];
+
 /**
  * Checks if the MIME type indicates an image.
  * @param {string} originType - The MIME type of the file.
@@ -70,35 +72,55 @@ function isBufferValid(buffer) {
 
 /**
  * Determines if an image should be compressed based on type, size, and properties.
+ * The reason for the decision is left in `req.params.compressReason` for statistics.
  * @param {Object} req - The HTTP request object.
  * @param {Buffer} buffer - The file buffer.
  * @returns {boolean} True if the image should be compressed, false otherwise.
  */
 function shouldCompress(req, buffer) {
-    const { originType, originSize, webp } = req.params || {};
+    const { originType, originSize, webp, forceCompress } = req.params || {};
+    const decide = (compress, reason) => {
+        if (req.params) req.params.compressReason = reason;
+        return compress;
+    };
+
+    if (forceCompress === false) {
+        logInfo('Skipping compression: Disabled by domain rule');
+        return decide(false, 'rule-disabled');
+    }
 
     if (!isImageType(originType)) {
         logInfo(`Skipping compression: Non-image type "${originType}"`);
-        return false;
+        return decide(false, 'non-image');
+    }
+
+    if (UNSUPPORTED_TYPES.includes(mimeType(originType))) {
+        logInfo(`Skipping compression: Unsupported image format "${originType}"`);
+        return decide(false, 'unsupported-format');
+    }
+
+    if (forceCompress === true) {
+        logInfo(`Compression applied: Forced by domain rule, ${originType}, size=${originSize}`);
+        return decide(true, 'rule-forced');
     }
 
     if (!hasSufficientSize(originSize, MIN_COMPRESS_LENGTH)) {
         logInfo(`Skipping compression: Insufficient size (${originSize} bytes).`);
-        return false;
+        return decide(false, 'too-small');
     }
 
     if (isTransparentImage(originType, originSize, webp)) {
         logInfo(`Skipping compression: Transparent image, size=${originSize}`);
-        return false;
+        return decide(false, 'small-transparent');
     }
 
     if (isSmallAnimatedPng(originType, buffer, originSize)) {
         logInfo(`Skipping compression: Small animated PNG, size=${originSize}`);
-        return false;
+        return decide(false, 'small-apng');
     }
 
     logInfo(`Compression applied: ${originType}, size=${originSize}`);
-    return true;
+    return decide(true, 'eligible');
 }
 
 /**
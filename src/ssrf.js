@@ -0,0 +1,130 @@
+import dns from 'dns';
+import net from 'net';
+import hostMatcher from './hostMatcher.js';
+import config from './config.js';
+
+// Address ranges the proxy must never fetch from: loopback, private, link-local
+// (including cloud metadata endpoints), carrier-grade NAT, documentation,
+// benchmarking, multicast and other reserved blocks.
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+];
+const BLOCKED_IPV6_RANGES = [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+    ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_IPV4_RANGES.forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+BLOCKED_IPV6_RANGES.forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// Operator allowlist: comma-separated IPs, CIDR ranges, hostnames or "*.domain" wildcards.
+const { allowedAddresses, allowedHosts } = parseAllowlist(config.SSRF_ALLOWLIST);
+
+/**
+ * Splits the allowlist into address ranges and host names.
+ * @param {string[]} entries - The SSRF_ALLOWLIST entries.
+ * @returns {{ allowedAddresses: net.BlockList, allowedHosts: string[] }} The parsed allowlist.
+ */
+function parseAllowlist(entries) {
+    const addresses = new net.BlockList();
+    const hosts = [];
+    for (const entry of entries.map(item => item.toLowerCase())) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIP(address);
+        if (family && prefix !== undefined) {
+            addresses.addSubnet(address, parseInt(prefix, 10), `ipv${family}`);
+        } else if (family) {
+            addresses.addAddress(address, `ipv${family}`);
+        } else {
+            hosts.push(entry);
+        }
+    }
+    return { allowedAddresses: addresses, allowedHosts: hosts };
+}
+
+/**
+ * Creates the error raised for a refused target; the proxy answers it with 403.
+ * @param {string} message - What was refused and why.
+ * @returns {Error} An error with code `ERR_SSRF_BLOCKED`.
+ */
+function blockedError(message) {
+    const error = new Error(message);
+    error.code = 'ERR_SSRF_BLOCKED';
+    return error;
+}
+
+/**
+ * Checks whether a host name is on the operator allowlist.
+ * @param {string} hostname - The host name from the URL.
+ * @returns {boolean} True if allowlisted.
+ */
+const isAllowedHost = hostMatcher(allowedHosts);
+
+/**
+ * Checks whether an IP address is in a private or reserved range and not allowlisted.
+ * IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+ * @param {string} address - The IP address.
+ * @returns {boolean} True if the address must not be fetched.
+ */
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    const type = `ipv${family}`;
+    return blockedAddresses.check(address, type) && !allowedAddresses.check(address, type);
+}
+
+/**
+ * Refuses a URL whose host is a literal IP address in a blocked range.
+ * Named hosts are checked when they resolve, in `guardedLookup`.
+ * @param {URL} url - The URL about to be requested, including redirect targets.
+ */
+function assertAllowedUrl(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isAllowedHost(hostname) && isBlockedAddress(hostname)) {
+        throw blockedError(`Refusing to fetch ${url.origin}: address ${hostname} is private or reserved`);
+    }
+}
+
+/**
+ * `dns.lookup` replacement that refuses host names resolving to blocked addresses.
+ * The connection is made to the addresses checked here, so a second DNS answer
+ * can't swap in a private address after the check (DNS rebinding).
+ */
+function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    } else if (typeof options === 'number') {
+        options = { family: options };
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = !isAllowedHost(hostname) && addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(blockedError(`Refusing to fetch ${hostname}: resolves to private or reserved address ${blocked.address}`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * got options that apply the checks to the first request and every redirect hop.
+ */
+const ssrfGuard = {
+    dnsLookup: guardedLookup,
+    hooks: {
+        beforeRequest: [options => assertAllowedUrl(options.url)],
+        beforeRedirect: [options => assertAllowedUrl(options.url)],
+    },
+};
+
+export { assertAllowedUrl, guardedLookup, isBlockedAddress };
+export default ssrfGuard;
@@ -0,0 +1,281 @@
+import config from './config.js';
+
+// Per-host totals are kept for at most this many hosts; the rest are grouped under "other".
+const { STATS_MAX_HOSTS } = config;
+
+// Latency histogram bucket bounds, in seconds.
+const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const startedAt = new Date();
+
+// Byte totals: overall, by output format and by origin host.
+const totals = { requests: 0, bytesIn: 0, bytesOut: 0 };
+const byFormat = new Map();
+const byHost = new Map();
+// `${outcome}|${reason}` -> count, where outcome is compress, bypass, redirect, cache,
+// coalesced, or the placeholder and error failure policies.
+const outcomes = new Map();
+// Upstream retries by cause, circuit breaker transitions by new state, and hosts whose circuit isn't closed.
+const retries = new Map();
+const circuitTransitions = new Map();
+const circuitStates = new Map();
+// sharp pipelines running and requests waiting for one, as last reported by the encode queue.
+const encodeQueue = { active: 0, waiting: 0 };
+
+const histograms = {
+    fetch: createHistogram(),
+    encode: createHistogram(),
+    queueWait: createHistogram(),
+};
+
+/**
+ * Creates an empty latency histogram.
+ * @returns {{ buckets: number[], sum: number, count: number }} The histogram.
+ */
+function createHistogram() {
+    return { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+}
+
+/**
+ * Adds one observation to a histogram.
+ * @param {Object} histogram - The histogram.
+ * @param {number} seconds - The observed latency.
+ */
+function observe(histogram, seconds) {
+    LATENCY_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) histogram.buckets[index] += 1;
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+}
+
+/**
+ * Adds byte counts to a keyed total, creating it on first use.
+ */
+function addBytes(map, key, bytesIn, bytesOut) {
+    const entry = map.get(key) || { requests: 0, bytesIn: 0, bytesOut: 0 };
+    entry.requests += 1;
+    entry.bytesIn += bytesIn;
+    entry.bytesOut += bytesOut;
+    map.set(key, entry);
+}
+
+/**
+ * Extracts the host of the origin URL for per-host totals.
+ * @param {string} url - The origin URL.
+ * @returns {string} The host, "other" once STATS_MAX_HOSTS hosts are tracked, or "unknown".
+ */
+function hostKey(url) {
+    try {
+        const { host } = new URL(url);
+        return byHost.has(host) || byHost.size < STATS_MAX_HOSTS ? host : 'other';
+    } catch {
+        return 'unknown';
+    }
+}
+
+/**
+ * Records how a request was answered, with the reason for that outcome.
+ * @param {string} outcome - "compress", "bypass", "redirect", "cache", "coalesced", "placeholder" or "error".
+ * @param {string} [reason='none'] - e.g. the shouldCompress reason or the failure class.
+ */
+function recordOutcome(outcome, reason = 'none') {
+    const key = `${outcome}|${reason}`;
+    outcomes.set(key, (outcomes.get(key) || 0) + 1);
+}
+
+/**
+ * Records the bytes of one response.
+ * @param {Object} transfer
+ * @param {string} transfer.url - The origin URL.
+ * @param {string} transfer.format - Output format, or "original" for bypassed content.
+ * @param {number} transfer.bytesIn - Size of the original.
+ * @param {number} transfer.bytesOut - Size sent to the client.
+ */
+function recordTransfer({ url, format, bytesIn, bytesOut }) {
+    if (!Number.isFinite(bytesIn) || !Number.isFinite(bytesOut)) return;
+    totals.requests += 1;
+    totals.bytesIn += bytesIn;
+    totals.bytesOut += bytesOut;
+    addBytes(byFormat, format, bytesIn, bytesOut);
+    addBytes(byHost, hostKey(url), bytesIn, bytesOut);
+}
+
+/**
+ * Records an upstream request being retried.
+ * @param {string} reason - The error code or status that caused the retry.
+ */
+function recordRetry(reason) {
+    retries.set(reason, (retries.get(reason) || 0) + 1);
+}
+
+/**
+ * Records a host's circuit breaker changing state.
+ * @param {string} host - The origin host.
+ * @param {string} state - "open", "half-open" or "closed".
+ */
+function recordCircuitState(host, state) {
+    circuitTransitions.set(state, (circuitTransitions.get(state) || 0) + 1);
+    if (state === 'closed') {
+        circuitStates.delete(host);
+    } else {
+        circuitStates.set(host, state);
+    }
+}
+
+/**
+ * Records the encode queue's current load.
+ * @param {number} active - sharp pipelines running.
+ * @param {number} waiting - Requests waiting for a slot.
+ */
+function recordEncodeQueue(active, waiting) {
+    encodeQueue.active = active;
+    encodeQueue.waiting = waiting;
+}
+
+/**
+ * Records how long a request waited for an encode slot, whether or not it got one.
+ * @param {number} seconds - The wait.
+ */
+function observeQueueWait(seconds) {
+    observe(histograms.queueWait, seconds);
+}
+
+/**
+ * Records how long the origin took to return response headers.
+ * @param {number} seconds - The latency.
+ */
+function observeFetch(seconds) {
+    observe(histograms.fetch, seconds);
+}
+
+/**
+ * Records how long sharp took to produce the output.
+ * @param {number} seconds - The latency.
+ */
+function observeEncode(seconds) {
+    observe(histograms.encode, seconds);
+}
+
+/**
+ * Seconds elapsed since a `process.hrtime.bigint()` timestamp.
+ * @param {bigint} start - The start timestamp.
+ * @returns {number} Elapsed seconds.
+ */
+function secondsSince(start) {
+    return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Escapes a Prometheus label value.
+ */
+function label(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders a histogram in Prometheus text format.
+ */
+function renderHistogram(name, help, histogram) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+    LATENCY_BUCKETS.forEach((bound, index) => {
+        lines.push(`${name}_bucket{le="${bound}"} ${histogram.buckets[index]}`);
+    });
+    lines.push(`${name}_bucket{le="+Inf"} ${histogram.count}`);
+    lines.push(`${name}_sum ${histogram.sum}`);
+    lines.push(`${name}_count ${histogram.count}`);
+    return lines;
+}
+
+/**
+ * Route handler serving metrics in Prometheus text format. Per-host totals are left
+ * out because they reveal which sites users browse; they are in the authenticated /stats.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ */
+function metricsHandler(req, res) {
+    const lines = [
+        '# HELP bandwidth_hero_bytes_in_total Bytes of original content handled.',
+        '# TYPE bandwidth_hero_bytes_in_total counter',
+        ...[...byFormat].map(([format, entry]) => `bandwidth_hero_bytes_in_total{format="${label(format)}"} ${entry.bytesIn}`),
+        '# HELP bandwidth_hero_bytes_out_total Bytes sent to clients.',
+        '# TYPE bandwidth_hero_bytes_out_total counter',
+        ...[...byFormat].map(([format, entry]) => `bandwidth_hero_bytes_out_total{format="${label(format)}"} ${entry.bytesOut}`),
+        '# HELP bandwidth_hero_responses_total Responses by outcome and reason.',
+        '# TYPE bandwidth_hero_responses_total counter',
+        ...[...outcomes].map(([key, count]) => {
+            const [outcome, reason] = key.split('|');
+            return `bandwidth_hero_responses_total{outcome="${label(outcome)}",reason="${label(reason)}"} ${count}`;
+        }),
+        '# HELP bandwidth_hero_upstream_retries_total Origin requests retried, by cause.',
+        '# TYPE bandwidth_hero_upstream_retries_total counter',
+        ...[...retries].map(([reason, count]) => `bandwidth_hero_upstream_retries_total{reason="${label(reason)}"} ${count}`),
+        '# HELP bandwidth_hero_circuit_transitions_total Per-host circuit breaker transitions, by new state.',
+        '# TYPE bandwidth_hero_circuit_transitions_total counter',
+        ...[...circuitTransitions].map(([state, count]) => `bandwidth_hero_circuit_transitions_total{state="${label(state)}"} ${count}`),
+        '# HELP bandwidth_hero_open_circuits Hosts whose circuit breaker is open or half-open.',
+        '# TYPE bandwidth_hero_open_circuits gauge',
+        `bandwidth_hero_open_circuits ${circuitStates.size}`,
+        '# HELP bandwidth_hero_encodes_active sharp pipelines running.',
+        '# TYPE bandwidth_hero_encodes_active gauge',
+        `bandwidth_hero_encodes_active ${encodeQueue.active}`,
+        '# HELP bandwidth_hero_encode_queue_depth Requests waiting for an encode slot.',
+        '# TYPE bandwidth_hero_encode_queue_depth gauge',
+        `bandwidth_hero_encode_queue_depth ${encodeQueue.waiting}`,
+        ...renderHistogram('bandwidth_hero_origin_fetch_seconds', 'Time until the origin returned response headers.', histograms.fetch),
+        ...renderHistogram('bandwidth_hero_encode_seconds', 'Time sharp spent producing the output.', histograms.encode),
+        ...renderHistogram('bandwidth_hero_encode_queue_wait_seconds', 'Time spent waiting for an encode slot.', histograms.queueWait),
+    ];
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(`${lines.join('\n')}\n`);
+}
+
+/**
+ * Summarizes a byte total with the bytes and share saved.
+ */
+function summarize({ requests, bytesIn, bytesOut }) {
+    const bytesSaved = bytesIn - bytesOut;
+    return { requests, bytesIn, bytesOut, bytesSaved, savedPercent: bytesIn ? Math.round(bytesSaved / bytesIn * 1000) / 10 : 0 };
+}
+
+/**
+ * Route handler serving a JSON summary of savings. Mount it behind `authenticate`.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ */
+function statsHandler(req, res) {
+    const outcomeCounts = {};
+    for (const [key, count] of outcomes) {
+        const [outcome, reason] = key.split('|');
+        outcomeCounts[outcome] = outcomeCounts[outcome] || {};
+        outcomeCounts[outcome][reason] = count;
+    }
+
+    res.json({
+        since: startedAt,
+        totals: summarize(totals),
+        formats: Object.fromEntries([...byFormat].map(([format, entry]) => [format, summarize(entry)])),
+        hosts: Object.fromEntries(
+            [...byHost]
+                .sort(([, a], [, b]) => (b.bytesIn - b.bytesOut) - (a.bytesIn - a.bytesOut))
+                .map(([host, entry]) => [host, summarize(entry)])
+        ),
+        outcomes: outcomeCounts,
+        retries: Object.fromEntries(retries),
+        circuits: Object.fromEntries(circuitStates),
+        encodeQueue,
+        latency: {
+            originFetch: { count: histograms.fetch.count, averageSeconds: histograms.fetch.count ? histograms.fetch.sum / histograms.fetch.count : 0 },
+            encode: { count: histograms.encode.count, averageSeconds: histograms.encode.count ? histograms.encode.sum / histograms.encode.count : 0 },
+            encodeQueueWait: { count: histograms.queueWait.count, averageSeconds: histograms.queueWait.count ? histograms.queueWait.sum / histograms.queueWait.count : 0 },
+        },
+    });
+}
+
+export {
+    recordOutcome, recordTransfer, recordRetry, recordCircuitState, recordEncodeQueue,
+    observeFetch, observeEncode, observeQueueWait, secondsSince, statsHandler,
+};
+export default metricsHandler;
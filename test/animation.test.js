@@ -0,0 +1,164 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import zlib from 'zlib';
+import sharp from 'sharp';
+
+// Settings are read once, when the app is first imported. Small test images are compressed too.
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+process.env.MIN_COMPRESS_LENGTH = '1';
+const { default: createApp } = await import('../src/app.js');
+
+let origin;
+let proxy;
+let proxyUrl;
+let originUrl;
+const images = {};
+
+/**
+ * Starts a server on a free local port.
+ */
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * Builds a 2x2 GIF with one frame per list of palette indexes. Each pixel follows
+ * a clear code, so every LZW code stays 3 bits wide.
+ */
+function tinyGif(frames) {
+    const palette = [255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 0];
+    const parts = [
+        Buffer.from('GIF89a'), Buffer.from([2, 0, 2, 0, 0xf1, 0, 0]), Buffer.from(palette),
+        Buffer.from([0x21, 0xff, 0x0b]), Buffer.from('NETSCAPE2.0'), Buffer.from([3, 1, 0, 0, 0]),
+    ];
+    for (const pixels of frames) {
+        const bytes = [];
+        let bits = 0;
+        let count = 0;
+        for (const code of [...pixels.flatMap(pixel => [4, pixel]), 5]) {
+            bits |= code << count;
+            count += 3;
+            while (count >= 8) {
+                bytes.push(bits & 0xff);
+                bits >>= 8;
+                count -= 8;
+            }
+        }
+        if (count) bytes.push(bits);
+        parts.push(Buffer.from([
+            0x21, 0xf9, 4, 0, 10, 0, 0, 0,
+            0x2c, 0, 0, 0, 0, 2, 0, 2, 0, 0,
+            2, bytes.length, ...bytes, 0,
+        ]));
+    }
+    parts.push(Buffer.from([0x3b]));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Splits a PNG into its chunks.
+ */
+function pngChunks(png) {
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        chunks.push({ type: png.toString('latin1', offset + 4, offset + 8), data: png.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+    }
+    return chunks;
+}
+
+/**
+ * Encodes one PNG chunk with its length and CRC.
+ */
+function pngChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Joins two PNGs of the same size and kind into a two-frame APNG.
+ */
+function apng(first, second) {
+    const [header] = pngChunks(first);
+    const frameControl = sequence => {
+        const data = Buffer.alloc(26);
+        data.writeUInt32BE(sequence, 0);
+        data.writeUInt32BE(header.data.readUInt32BE(0), 4);
+        data.writeUInt32BE(header.data.readUInt32BE(4), 8);
+        data.writeUInt16BE(1, 20);
+        data.writeUInt16BE(10, 22);
+        return pngChunk('fcTL', data);
+    };
+    const animationControl = Buffer.alloc(8);
+    animationControl.writeUInt32BE(2, 0);
+    const sequence = Buffer.alloc(4);
+    sequence.writeUInt32BE(2);
+    return Buffer.concat([
+        first.subarray(0, 8),
+        pngChunk('IHDR', header.data),
+        pngChunk('acTL', animationControl),
+        frameControl(0),
+        ...pngChunks(first).filter(chunk => chunk.type === 'IDAT').map(chunk => pngChunk('IDAT', chunk.data)),
+        frameControl(1),
+        ...pngChunks(second).filter(chunk => chunk.type === 'IDAT').map(chunk => pngChunk('fdAT', Buffer.concat([sequence, chunk.data]))),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Requests an image from the origin through the proxy.
+ */
+async function fetchThroughProxy(name, query) {
+    const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(`${originUrl}/${name}`)}&${query}`);
+    const body = Buffer.from(await response.arrayBuffer());
+    return { response, body };
+}
+
+before(async () => {
+    // Undithered gradients, so re-encoding the animation makes it smaller.
+    const gif = await sharp(tinyGif([[0, 1, 2, 3], [3, 2, 1, 0], [1, 3, 0, 2]]), { animated: true })
+        .resize(256, 256)
+        .gif({ dither: 0 })
+        .toBuffer();
+    images['anim.gif'] = { type: 'image/gif', body: gif };
+    const frames = await Promise.all(['red', 'blue'].map(background =>
+        sharp({ create: { width: 256, height: 256, channels: 3, background } }).png().toBuffer()
+    ));
+    images['anim.png'] = { type: 'image/png', body: apng(...frames) };
+
+    origin = http.createServer((req, res) => {
+        const image = images[req.url.slice(1)];
+        res.writeHead(200, { 'content-type': image.type });
+        res.end(image.body);
+    });
+    originUrl = `http://127.0.0.1:${await listen(origin)}`;
+    proxy = http.createServer(createApp());
+    proxyUrl = `http://127.0.0.1:${await listen(proxy)}`;
+});
+
+after(() => {
+    origin.close();
+    proxy.close();
+});
+
+test('an animation requested as AVIF is sent as animated WebP, saying so', async () => {
+    const { response, body } = await fetchThroughProxy('anim.gif', 'format=avif&l=10');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/webp');
+    assert.equal(response.headers.get('x-animation'), 'preserved; reason=avif-as-webp');
+    assert.equal((await sharp(body, { animated: true }).metadata()).pages, 3);
+});
+
+test('an animated PNG is sent as its first frame, saying so', async () => {
+    const { response, body } = await fetchThroughProxy('anim.png', 'format=webp');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/webp');
+    assert.equal(response.headers.get('x-animation'), 'still; reason=apng');
+    assert.equal((await sharp(body, { animated: true }).metadata()).pages ?? 1, 1);
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import sharp from 'sharp';
+
+// Settings are read once, when the app is first imported.
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+process.env.CACHE_BACKEND = 'memory';
+const { default: createApp } = await import('../src/app.js');
+
+let origin;
+let proxy;
+let imageUrl;
+const originRequests = [];
+
+/**
+ * Starts a server on a free local port.
+ */
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+before(async () => {
+    // A cacheable image that shows who asked for it: red for a session cookie, blue without.
+    origin = http.createServer(async (req, res) => {
+        originRequests.push(req.headers.cookie || null);
+        const image = await sharp({
+            create: { width: 256, height: 256, channels: 3, background: req.headers.cookie ? 'red' : 'blue' },
+        }).jpeg({ quality: 100 }).toBuffer();
+        res.writeHead(200, { 'content-type': 'image/jpeg', 'cache-control': 'public, max-age=600' });
+        res.end(image);
+    });
+    const originPort = await listen(origin);
+    proxy = http.createServer(createApp());
+    const proxyPort = await listen(proxy);
+    imageUrl = `http://127.0.0.1:${proxyPort}/?url=${encodeURIComponent(`http://127.0.0.1:${originPort}/me.jpg`)}`;
+});
+
+after(() => {
+    origin.close();
+    proxy.close();
+});
+
+test('a response fetched with the client\'s cookies is not served to other clients from the cache', async () => {
+    const withCookie = await fetch(imageUrl, { headers: { cookie: 'session=alice' } });
+    assert.equal(withCookie.status, 200);
+    assert.equal(withCookie.headers.get('x-cache'), null);
+    await withCookie.arrayBuffer();
+
+    const anonymous = await fetch(imageUrl);
+    assert.equal(anonymous.status, 200);
+    assert.equal(anonymous.headers.get('x-cache'), 'MISS');
+    await anonymous.arrayBuffer();
+
+    assert.deepEqual(originRequests, ['session=alice', null]);
+});
+
+test('responses fetched without cookies are cached', async () => {
+    const again = await fetch(imageUrl);
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    await again.arrayBuffer();
+    assert.equal(originRequests.length, 2);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadConfig } from '../src/config.js';
+
+test('reports invalid values and conflicting settings together', () => {
+    assert.throws(
+        () => loadConfig({ MIN_QUALITY: 'x', CACHE_DEFAULT_TTL: '100', CACHE_MAX_TTL: '10' }),
+        error => {
+            assert.equal(error.code, 'ERR_INVALID_CONFIG');
+            assert.match(error.message, /MIN_QUALITY="x": expected an integer/);
+            assert.match(error.message, /CACHE_DEFAULT_TTL \(100\) must not exceed CACHE_MAX_TTL \(10\)/);
+            return true;
+        }
+    );
+});
+
+test('skips the relations of a setting that failed to parse', () => {
+    assert.throws(
+        () => loadConfig({ MIN_QUALITY: 'x' }),
+        error => !/must hold/.test(error.message)
+    );
+});